@@ -6,25 +6,88 @@ import {LitElement, html, css} from "/vendor/lit3/lit-all.min.js";
 import "./jobs-report.mjs";
 import "./locales-results.mjs";
 import "./rollouts-report.mjs";
-
-const SHA_TYPE_HG = "hg";
-const SHA_TYPE_GIT = "git";
+import "./xpi-report.mjs";
+import "./report-summary.mjs";
+import "./revision-compare.mjs";
+import "./candidate-finder.mjs";
+import "./check-history.mjs";
+import "./cache-panel.mjs";
+import "./calendar-panel.mjs";
+import "./check-progress.mjs";
+import {
+  computeVerdict,
+  parseTrainName,
+  trainChannels,
+  trainLabel,
+} from "./readiness-rules.mjs";
+import { buildReport, reportToMarkdown } from "./report-export.mjs";
+import {
+  SHA_TYPE_HG,
+  SHA_TYPE_GIT,
+  SHA_TYPE_AUTO,
+  checkToSearchParams,
+  checkFromSearchParams,
+} from "./revision-links.mjs";
+const REVISION_DATA_PORT = "revision-data";
 
 class TrainCheckApp extends LitElement {
 
+  // Aborts the check in flight, if any
+  #checkController = null;
+  // Aborts the source retries in flight, see #retrySource()
+  #retriesController = null;
+
   static properties = {
     sha: { type: String },
+    baselineSha: { type: String },
     loading: { type: Boolean },
+    forceRefresh: { type: Boolean },
     results: { type: Object },
-    shaType: { type: Number },
+    shaType: { type: String },
+    watchedRevision: { type: Object },
+    // Why watching or unwatching the revision failed, as {action, kind, message}
+    watchError: { state: true },
+    githubRateLimit: { type: Object },
+    retryingSources: { state: true },
+    progress: { type: Object },
+    channel: { type: String },
   };
 
   constructor() {
     super();
     this.sha = '';
+    this.baselineSha = '';
     this.loading = false;
+    this.forceRefresh = false;
     this.results = null;
-    this.shaType = SHA_TYPE_HG;
+    this.shaType = SHA_TYPE_AUTO;
+    this.watchedRevision = null;
+    this.watchError = null;
+    this.githubRateLimit = null;
+    this.retryingSources = new Set();
+    this.progress = null;
+    this.channel = "";
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.#refreshWatchedRevision();
+    this.#refreshGitHubRateLimit();
+
+    // Run the check linked to, if any, e.g. index.html?git=<sha>
+    const check = checkFromSearchParams(new URLSearchParams(location.search));
+    if (check) {
+      this.sha = check.sha;
+      this.shaType = check.shaType;
+      this.baselineSha = check.baselineSha;
+      this.channel = check.channel;
+      this.#checkTrainStatus();
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#abortCheck();
   }
 
   render() {
@@ -33,38 +96,221 @@ class TrainCheckApp extends LitElement {
       <h1>New Tab Train-hop Station</h1>
       
       <div class="input-section">
-        <label for="sha-input">Revision SHA (leave empty for latest):</label>
+        <label for="sha-input">Revision (leave empty for latest):</label>
         <input 
           id="sha-input"
           type="text"
           .value=${this.sha}
           @input=${this.#onShaInput}
-          placeholder="Enter Firefox ${this.shaType == SHA_TYPE_HG ? "Mercurial" : "Git"} commit SHA or leave empty for latest"
+          placeholder="SHA (full or short), push ID, or Treeherder/GitHub/hg.mozilla.org link"
         />
         <fieldset id="sha-type-holder">
-          <input type="radio" name="sha-type" value="${SHA_TYPE_HG}" @change=${this.#onChangeSHAType} ?checked=${this.shaType == SHA_TYPE_HG}>Use Mercurial SHA</input>
-          <input type="radio" name="sha-type" value="${SHA_TYPE_GIT}" @change=${this.#onChangeSHAType} ?checked=${this.shaType == SHA_TYPE_GIT}>Use GitHub SHA</input>
+          <input type="radio" name="sha-type" value="${SHA_TYPE_AUTO}" @change=${this.#onChangeSHAType} ?checked=${this.shaType == SHA_TYPE_AUTO}>Detect SHA type</input>
+          <input type="radio" name="sha-type" value="${SHA_TYPE_HG}" @change=${this.#onChangeSHAType} ?checked=${this.shaType == SHA_TYPE_HG}>Mercurial SHA</input>
+          <input type="radio" name="sha-type" value="${SHA_TYPE_GIT}" @change=${this.#onChangeSHAType} ?checked=${this.shaType == SHA_TYPE_GIT}>GitHub SHA</input>
         </fieldset>
-        <button @click=${this.#checkTrainStatus} ?disabled=${this.loading}>
-          ${this.loading ? 'Checking...' : 'Check Train Status'}
+        <label for="baseline-sha-input">Baseline revision to compare against (optional):</label>
+        <input
+          id="baseline-sha-input"
+          type="text"
+          .value=${this.baselineSha}
+          @input=${this.#onBaselineShaInput}
+          placeholder="SHA, push ID or link of the baseline revision"
+        />
+        <label for="channel-select">Channel:</label>
+        <select id="channel-select" @change=${this.#onChannelChange}>
+          <option value="" ?selected=${!this.channel}>All channels</option>
+          ${this.#channelOptions().map(channel => html`
+            <option value=${channel} ?selected=${this.channel == channel}>${trainLabel(parseTrainName(channel))}</option>
+          `)}
+        </select>
+        <label class="force-refresh">
+          <input type="checkbox" .checked=${this.forceRefresh} @change=${this.#onForceRefreshChange} />
+          Force refresh (ignore cached data)
+        </label>
+        <button @click=${this.#checkTrainStatus}>
+          ${this.loading ? 'Check Again' : 'Check Train Status'}
         </button>
+        ${this.loading ? html`
+          <button class="cancel" @click=${this.#cancelCheck}>Cancel</button>
+        ` : ''}
+        ${this.#renderGitHubRateLimit()}
       </div>
 
+      ${this.loading ? html`<check-progress .progress=${this.progress}></check-progress>` : ''}
+
+      ${this.watchedRevision ? html`
+        <p class="watched-revision">
+          Watching <code>${this.watchedRevision.gitSha}</code>
+          ${this.watchedRevision.finished ? "(all jobs finished)" : ""}
+          <button @click=${this.#unwatchRevision}>Stop watching</button>
+        </p>
+      ` : ''}
+      ${this.#renderWatchError()}
+
+      <calendar-panel></calendar-panel>
+      <candidate-finder @check-revision=${this.#onCheckRevision}></candidate-finder>
+      <check-history @open-check=${this.#onOpenCheck}></check-history>
+      <cache-panel></cache-panel>
+
       ${this.results ? html`
         <div class="results">
           <h2>Train Check Results</h2>
           <p>Git SHA: ${this.results.sha}</p>
           ${this.results.hgSha ? html`<p>Mercurial SHA: ${this.results.hgSha}</p>` : ''}
+          ${this.results.checkedAt ? html`<p>Checked: ${new Date(this.results.checkedAt).toLocaleString()} (from history)</p>` : ''}
           <p>Status: ${this.results.status}</p>
-          <report-summary .results=${this.results}></report-summary>
-          <jobs-report .pushData=${this.results.revisionData.pushData}></jobs-report>
-          <rollouts-report .rollouts=${this.results.revisionData.rolloutData}></rollouts-report>
-          <locales-results .betaStartDate=${this.results.revisionData.betaStartDate} .releaseStartDate=${this.results.revisionData.releaseStartDate} .localesReport=${this.results.revisionData.localesReport} .ftlComparison=${this.results.revisionData.ftlComparison} .sha=${this.results.sha}></locales-results>
+          ${this.results.needsMergeDates ? this.#renderMergeDatesForm() : ''}
+          ${this.results.hgSha && this.watchedRevision?.gitSha != this.results.sha ? html`
+            <button @click=${this.#watchRevision}>Watch this revision</button>
+          ` : ''}
+          ${this.results.revisionData ? html`
+            ${this.loading || this.results.needsMergeDates ? '' : html`
+              <div class="export-actions">
+                <button @click=${() => this.#copyReport("markdown")}>Copy Markdown</button>
+                <button @click=${() => this.#downloadReport("markdown")}>Download Markdown</button>
+                <button @click=${() => this.#copyReport("json")}>Copy JSON</button>
+                <button @click=${() => this.#downloadReport("json")}>Download JSON</button>
+              </div>
+              <report-summary .results=${this.results}></report-summary>
+            `}
+            ${this.results.baseline ? html`
+              <revision-compare .baseline=${this.results.baseline} .candidate=${this.results}></revision-compare>
+            ` : ''}
+            ${this.#renderSourceError("jobs", "Trainhop jobs")}
+            ${this.results.revisionData.pushData ? html`
+              <jobs-report .pushData=${this.results.revisionData.pushData} .channel=${this.channel}></jobs-report>
+            ` : ''}
+            ${this.#renderSourceError("rollouts", "Rollouts")}
+            ${this.results.revisionData.rolloutData ? html`
+              <rollouts-report
+                .rollouts=${this.results.revisionData.rolloutData}
+                .endedRollouts=${this.results.revisionData.endedRollouts}
+                .newtabAddonVersion=${this.results.revisionData.newtabAddonVersion}
+                .trains=${this.results.revisionData.trains}
+                .channel=${this.channel}
+              ></rollouts-report>
+            ` : ''}
+            ${this.#renderSourceError("xpi", "Train-hop XPI")}
+            ${this.results.revisionData.xpiInfo ? html`
+              <xpi-report .xpiInfo=${this.results.revisionData.xpiInfo} .channel=${this.channel}></xpi-report>
+            ` : ''}
+            ${this.#renderSourceError("ftl", "newtab.ftl history")}
+            ${this.#renderSourceError("locales", "Locales report")}
+            <locales-results .betaStartDate=${this.results.revisionData.betaStartDate} .releaseStartDate=${this.results.revisionData.releaseStartDate} .localesReport=${this.results.revisionData.localesReport} .shippedLocales=${this.results.revisionData.shippedLocales} .pontoonStatuses=${this.results.revisionData.pontoonStatuses} .localeRules=${this.results.revisionData.localeRules} .ftlComparison=${this.results.revisionData.ftlComparison} .sha=${this.results.sha}></locales-results>
+          ` : ''}
         </div>
       ` : ''}
     `;
   }
 
+  /**
+   * Lists the channels that can be picked: those of the trains of the checked
+   * revision, and the one picked already, e.g. from a link.
+   * @returns {Array<string>} The channels
+   */
+  #channelOptions() {
+    const channels = trainChannels(this.results?.revisionData?.trains);
+    if (this.channel && !channels.includes(this.channel)) {
+      channels.push(this.channel);
+    }
+    return channels;
+  }
+
+  /**
+   * Renders the form to enter the Beta and Release merge dates by hand, for
+   * when they couldn't be fetched. The check is completed once they are.
+   */
+  #renderMergeDatesForm() {
+    const { betaStartDate, releaseStartDate } = this.results.revisionData;
+    return html`
+      <form class="merge-dates" @submit=${this.#onMergeDatesSubmit}>
+        <p>The merge dates couldn't be fetched, please enter them to evaluate the locales.</p>
+        <label for="beta-start-date">Beta start date:</label>
+        <input id="beta-start-date" name="beta-start-date" type="date" required .value=${betaStartDate ?? ''} />
+        <label for="release-start-date">Release start date (when the current Release version first merged to Beta):</label>
+        <input id="release-start-date" name="release-start-date" type="date" required .value=${releaseStartDate ?? ''} />
+        <button type="submit">Complete Check</button>
+      </form>
+    `;
+  }
+
+  /**
+   * Renders why a data source of the results couldn't be fetched, if it
+   * couldn't, with a button to try fetching it again.
+   * @param {string} source - The data source, e.g. "jobs"
+   * @param {string} title - What the source is called in the UI
+   */
+  #renderSourceError(source, title) {
+    const error = this.results.revisionData.errors?.[source];
+    if (!error) {
+      return null;
+    }
+
+    const retrying = this.retryingSources.has(source);
+    return html`
+      <div class="source-error">
+        <p>
+          <strong>${title} couldn't be fetched</strong>
+          <span class="error-kind">${error.kind}</span>
+          ${error.message}
+        </p>
+        <button @click=${() => this.#retrySource(source)} ?disabled=${retrying || this.loading}>
+          ${retrying ? 'Retrying...' : 'Retry'}
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders why the revision couldn't be watched or unwatched, if it
+   * couldn't.
+   */
+  #renderWatchError() {
+    if (!this.watchError) {
+      return null;
+    }
+
+    return html`
+      <div class="source-error">
+        <p>
+          <strong>Couldn't ${this.watchError.action} the revision</strong>
+          ${this.watchError.kind ? html`<span class="error-kind">${this.watchError.kind}</span>` : ''}
+          ${this.watchError.message}
+        </p>
+      </div>
+    `;
+  }
+
+  #renderGitHubRateLimit() {
+    if (!this.githubRateLimit) {
+      return null;
+    }
+
+    const { limit, remaining, reset, authenticated } = this.githubRateLimit;
+    const resetTime = new Date(reset * 1000).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+    return html`
+      <p class="rate-limit ${remaining ? "" : "exhausted"}">
+        GitHub API: ${remaining} of ${limit} requests left until ${resetTime}
+        (${authenticated ? "authenticated" : "anonymous"}).
+        <a href="#" @click=${this.#openSettings}>Settings</a>
+      </p>
+    `;
+  }
+
+  /**
+   * Opens the extension's settings page.
+   * @param {Event} e - The click event
+   */
+  #openSettings(e) {
+    e.preventDefault();
+    browser.runtime.openOptionsPage();
+  }
+
   /**
    * Handles input changes for the SHA type radio fields.
    * @param {Event} e - The change event
@@ -73,6 +319,30 @@ class TrainCheckApp extends LitElement {
     this.shaType = e.target.value;
   }
 
+  /**
+   * Handles changes to the channel filter.
+   * @param {Event} e - The change event
+   */
+  #onChannelChange(e) {
+    this.channel = e.target.value;
+    this.#updateUrl();
+  }
+
+  /**
+   * Updates the page URL to link to the results being shown, so that they
+   * can be shared. Revisions are always linked to by Git SHA, as that's what
+   * the results have for both the revision and its baseline.
+   */
+  #updateUrl() {
+    const params = checkToSearchParams({
+      sha: this.results?.revisionData ? this.results.sha : "",
+      shaType: SHA_TYPE_GIT,
+      baselineSha: this.results?.baseline?.sha,
+      channel: this.channel,
+    });
+    history.replaceState(null, "", params.size ? `?${params}` : location.pathname);
+  }
+
   /**
    * Handles input changes for the SHA text field.
    * @param {Event} e - The input event
@@ -82,129 +352,521 @@ class TrainCheckApp extends LitElement {
   }
 
   /**
-   * Prompts the user for a date with validation.
-   * @param {string} description - Description of the date being requested
-   * @param {string} type - Type of date (Beta/Release) for error messages
-   * @returns {Promise<string|null>} The validated date or null if cancelled
+   * Checks a revision picked by the candidate finder.
+   * @param {CustomEvent} e - The check-revision event
    */
-  async #promptForDate(description, type) {
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    
-    while (true) {
-      const dateInput = prompt(`Failed to fetch ${description} automatically. Please enter the ${description} (YYYY-MM-DD):`);
-      
-      if (dateInput === null) {
-        // User cancelled
-        return null;
-      }
-      
-      if (dateRegex.test(dateInput)) {
-        const date = new Date(dateInput + 'T00:00:00Z');
-        if (!isNaN(date.getTime())) {
-          return dateInput;
-        }
-      }
-      
-      // Invalid date format, ask again
-      alert('Invalid date format. Please use YYYY-MM-DD format (e.g., 2024-01-15).');
+  #onCheckRevision(e) {
+    this.sha = e.detail.hgSha;
+    this.shaType = SHA_TYPE_HG;
+    this.#checkTrainStatus();
+  }
+
+  /**
+   * Exports the current results in the given format.
+   * @param {string} format - Either "markdown" or "json"
+   * @returns {{text: string, fileName: string, mimeType: string}} The export
+   */
+  #exportReport(format) {
+    const report = buildReport(this.results);
+    const baseName = `trainhop-report-${this.results.sha.substring(0, 12)}`;
+
+    if (format == "markdown") {
+      return {
+        text: reportToMarkdown(report),
+        fileName: `${baseName}.md`,
+        mimeType: "text/markdown",
+      };
     }
+
+    return {
+      text: JSON.stringify(report, null, 2),
+      fileName: `${baseName}.json`,
+      mimeType: "application/json",
+    };
   }
 
   /**
-   * Initiates the train-hop status check for the provided or latest SHA.
+   * Copies the current results to the clipboard.
+   * @param {string} format - Either "markdown" or "json"
    */
-  async #checkTrainStatus() {
-    this.loading = true;
-    
-    try {
-      const { gitSha, hgSha } = await this.#resolveSha();
+  async #copyReport(format) {
+    const { text } = this.#exportReport(format);
+    await navigator.clipboard.writeText(text);
+  }
 
-      // If no SHA was provided, populate the input with the fetched SHA
-      if (!this.sha.trim()) {
-        this.sha = gitSha;
-      }
+  /**
+   * Downloads the current results as a file.
+   * @param {string} format - Either "markdown" or "json"
+   */
+  #downloadReport(format) {
+    const { text, fileName, mimeType } = this.#exportReport(format);
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
 
-      let revisionData = await this.#getRevisionData(gitSha);
-      
-      // Handle case where Beta start date couldn't be fetched
-      if (revisionData.betaStartDate === null) {
-        revisionData.betaStartDate = await this.#promptForDate('Beta start date', 'Beta');
-        if (revisionData.betaStartDate === null) {
-          this.results = {
-            sha: gitSha,
-            hgSha: hgSha,
-            status: "Error: Beta start date required for locales analysis"
-          };
-          return;
-        }
-      }
+  /**
+   * Fetches a data source of the results again, after it failed, and updates
+   * the results and their verdict with it.
+   * @param {string} source - The data source, e.g. "jobs"
+   */
+  async #retrySource(source) {
+    const { sha } = this.results;
+    this.retryingSources = new Set(this.retryingSources).add(source);
+    this.#retriesController ??= new AbortController();
+    const { signal } = this.#retriesController;
 
-      // Handle case where Release start date couldn't be fetched
-      if (revisionData.releaseStartDate === null) {
-        revisionData.releaseStartDate = await this.#promptForDate('Release start date (when current release version first merged to Beta)', 'Release');
-        if (revisionData.releaseStartDate === null) {
-          this.results = {
-            sha: gitSha,
-            hgSha: hgSha,
-            status: "Error: Release start date required for locales analysis"
-          };
-          return;
-        }
+    let response;
+    try {
+      response = await this.#requestOverPort({
+        type: "GET_REVISION_SOURCE",
+        gitSha: sha,
+        source,
+      }, { signal });
+    } catch (error) {
+      // The results were replaced in the meantime, see #abortCheck().
+      if (signal.aborted) {
+        return;
       }
-      
-      console.log(revisionData);
+      response = { success: false, error: error.message };
+    } finally {
+      let retryingSources = new Set(this.retryingSources);
+      retryingSources.delete(source);
+      this.retryingSources = retryingSources;
+    }
+
+    let errors = { ...this.results.revisionData.errors };
+    if (response.success) {
+      delete errors[source];
+    } else {
+      errors[source] = { kind: response.errorKind, message: response.error };
+    }
 
+    const revisionData = {
+      ...this.results.revisionData,
+      ...(response.success ? response.data : {}),
+      errors,
+    };
+    this.results = {
+      ...this.results,
+      revisionData,
+      // There's no verdict until the merge dates are entered.
+      status: this.results.needsMergeDates
+        ? this.results.status
+        : computeVerdict(revisionData).label,
+    };
+    await this.#refreshGitHubRateLimit();
+  }
+
+  /**
+   * Handles a progress event of the running check: updates the progress list,
+   * and adds the data the event brings, if any, to the results.
+   * @param {Object} event - The progress event, see withProgress() in
+   *   background.js
+   */
+  #onProgress(event) {
+    this.progress = {
+      ...this.progress,
+      [event.source]: event,
+    };
+
+    if (event.data || event.error) {
+      const { revisionData } = this.results;
       this.results = {
-        sha: gitSha,
-        hgSha: hgSha,
-        revisionData,
-        status: "Ready for implementation"
+        ...this.results,
+        revisionData: {
+          ...revisionData,
+          ...event.data,
+          errors: event.error
+            ? { ...revisionData.errors, [event.source]: event.error }
+            : revisionData.errors,
+        },
+      };
+    }
+  }
+
+  /**
+   * Fetches the GitHub API rate limit, as last seen by the background script.
+   */
+  async #refreshGitHubRateLimit() {
+    const response = await browser.runtime.sendMessage({
+      type: "GET_GITHUB_RATE_LIMIT"
+    });
+
+    if (response.success) {
+      this.githubRateLimit = response.data;
+    }
+  }
+
+  /**
+   * Fetches the revision being watched in the background, if any.
+   */
+  async #refreshWatchedRevision() {
+    const response = await browser.runtime.sendMessage({
+      type: "GET_WATCHED_REVISION"
+    });
+
+    if (response.success) {
+      this.watchedRevision = response.data;
+    }
+  }
+
+  /**
+   * Starts watching the checked revision in the background, so that the
+   * toolbar badge and notifications report on its trainhop jobs.
+   */
+  async #watchRevision() {
+    const response = await this.#sendWatchMessage("watch", {
+      type: "WATCH_REVISION",
+      gitSha: this.results.sha,
+      hgSha: this.results.hgSha,
+    });
+
+    if (response) {
+      this.watchedRevision = response.data;
+    }
+  }
+
+  /**
+   * Stops watching the watched revision.
+   */
+  async #unwatchRevision() {
+    const response = await this.#sendWatchMessage("stop watching", {
+      type: "UNWATCH_REVISION"
+    });
+
+    if (response) {
+      this.watchedRevision = null;
+    }
+  }
+
+  /**
+   * Sends a message that watches or unwatches a revision to the background
+   * script. These are sent from click handlers, so rather than throwing, a
+   * failure is shown, see #renderWatchError().
+   * @param {string} action - What the message does, e.g. "watch"
+   * @param {Object} message - The message
+   * @returns {Promise<Object|null>} The response, or null if it failed
+   */
+  async #sendWatchMessage(action, message) {
+    this.watchError = null;
+    let response;
+    try {
+      response = await browser.runtime.sendMessage(message);
+    } catch (error) {
+      this.watchError = { action, kind: null, message: error.message };
+      return null;
+    }
+
+    if (!response.success) {
+      this.watchError = { action, kind: response.errorKind, message: response.error };
+      return null;
+    }
+    return response;
+  }
+
+  /**
+   * Reopens a past check picked from the history, without refetching it.
+   * @param {CustomEvent} e - The open-check event
+   */
+  async #onOpenCheck(e) {
+    this.#abortCheck();
+
+    try {
+      const entry = await this.#getHistoryEntry(e.detail.id);
+      this.sha = entry.gitSha;
+      this.shaType = SHA_TYPE_GIT;
+      this.results = {
+        ...entry.results,
+        baseline: null,
+        checkedAt: entry.checkedAt,
+        status: entry.label,
       };
+      this.#updateUrl();
     } catch (error) {
       this.results = {
-        sha: this.sha || 'unknown',
+        sha: 'unknown',
         status: `Error: ${error.message}`
       };
     }
-    
+  }
+
+  /**
+   * Saves a completed check to the history via the background script.
+   * Failing to do so shouldn't get in the way of showing the results.
+   * @param {Object} results - The results of the check
+   */
+  async #saveCheck(results) {
+    const response = await browser.runtime.sendMessage({
+      type: "SAVE_CHECK",
+      results: {
+        sha: results.sha,
+        hgSha: results.hgSha,
+        revisionData: results.revisionData,
+      },
+    });
+
+    if (!response.success) {
+      console.warn("Failed to save check to history:", response.error);
+    }
+  }
+
+  /**
+   * Gets a past check from the history via the background script.
+   * @param {string} id - The ID of the history entry
+   * @returns {Promise<Object>} The history entry, including its results
+   */
+  async #getHistoryEntry(id) {
+    const response = await browser.runtime.sendMessage({
+      type: "GET_HISTORY_ENTRY",
+      id,
+    });
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Handles changes to the force refresh checkbox.
+   * @param {Event} e - The change event
+   */
+  #onForceRefreshChange(e) {
+    this.forceRefresh = e.target.checked;
+  }
+
+  /**
+   * Handles input changes for the baseline SHA text field.
+   * @param {Event} e - The input event
+   */
+  #onBaselineShaInput(e) {
+    this.baselineSha = e.target.value;
+  }
+
+  /**
+   * Aborts the check in flight, if any, and the source retries, so that
+   * nothing they still fetch ends up in the results.
+   */
+  #abortCheck() {
+    this.#retriesController?.abort();
+    this.#retriesController = null;
+    if (!this.#checkController) {
+      return;
+    }
+
+    this.#checkController.abort();
+    this.#checkController = null;
     this.loading = false;
+    this.progress = null;
   }
 
   /**
-   * Resolves the SHA to use for train-hop checking.
-   * If a SHA is provided, validates it exists in the repo.
-   * If no SHA is provided, fetches the latest commit SHA.
-   * @returns {Promise<string>} The resolved commit SHA
+   * Cancels the check in flight, at the user's request.
    */
-  async #resolveSha() {
-    if (this.sha.trim()) {
-      // If we've been given a Mercurial SHA, convert this to a GitHub SHA first,
-      // before validating.
-      let shaToCheck = this.sha.trim();
+  #cancelCheck() {
+    this.#abortCheck();
+    this.results = {
+      sha: this.sha || 'unknown',
+      status: "Check cancelled"
+    };
+  }
 
-      if (this.shaType == SHA_TYPE_HG) {
-        const response = await browser.runtime.sendMessage({
-          type: "GET_GIT_SHA",
-          hgSha: shaToCheck,
-        });
-        if (response.success) {
-          shaToCheck = response.data;
-        } else {
-          throw new Error(response.error);
-        }
+  /**
+   * Runs a check, or the rest of one. Any check already in flight is
+   * superseded, and its results are dropped.
+   * @param {Function} check - Runs the check, given the AbortSignal that's
+   *   aborted if it's cancelled or superseded
+   */
+  async #runCheck(check) {
+    this.#abortCheck();
+    const controller = new AbortController();
+    const { signal } = controller;
+    this.#checkController = controller;
+    this.loading = true;
+
+    try {
+      await check(signal);
+    } catch (error) {
+      // A check that was cancelled or superseded has nothing left to show.
+      if (signal.aborted) {
+        return;
       }
 
-      // We've now normalized shaToCheck to be a Git SHA.
-      const gitSha = shaToCheck;
-      const hgSha = await this.#getHgSha(gitSha)
-      // Let us now validate that the provided Git SHA exists on GitHub.
-      if (await this.#validateSha(gitSha)) {
-        return { gitSha, hgSha };
+      this.results = {
+        sha: this.sha || 'unknown',
+        status: `Error: ${error.message}`
+      };
+    } finally {
+      if (this.#checkController == controller) {
+        this.#checkController = null;
+        this.loading = false;
       }
-    } else {
-      // Get latest commit SHA
+    }
+
+    await this.#refreshGitHubRateLimit();
+  }
+
+  /**
+   * Initiates the train-hop status check for the provided or latest SHA.
+   */
+  async #checkTrainStatus() {
+    await this.#runCheck(async signal => {
+      const { gitSha, hgSha } = await this.#resolveSha(this.sha, this.shaType, signal);
+      signal.throwIfAborted();
+
+      // If no SHA was provided, populate the input with the fetched SHA
+      if (!this.sha.trim()) {
+        this.sha = gitSha;
+      }
+
+      // Show each part of the results as soon as it arrives.
+      this.progress = {};
+      this.results = {
+        sha: gitSha,
+        hgSha: hgSha,
+        revisionData: {
+          gitSha,
+          hgSha,
+          pushData: null,
+          trains: null,
+          ftlComparison: null,
+          localesReport: null,
+          shippedLocales: null,
+          pontoonStatuses: null,
+          localeRules: null,
+          betaStartDate: null,
+          releaseStartDate: null,
+          rolloutData: null,
+          endedRollouts: null,
+          newtabAddonVersion: null,
+          xpiInfo: null,
+          errors: {},
+        },
+        baseline: null,
+        status: "Checking...",
+      };
+
+      let revisionData = await this.#getRevisionData(gitSha, {
+        signal,
+        onProgress: event => this.#onProgress(event),
+      });
+
+      // The locales can't be evaluated without the merge dates, so if they
+      // couldn't be fetched, the check waits for them to be entered, see
+      // #onMergeDatesSubmit().
+      if (!revisionData.betaStartDate || !revisionData.releaseStartDate) {
+        this.results = {
+          sha: gitSha,
+          hgSha: hgSha,
+          revisionData,
+          baseline: null,
+          needsMergeDates: true,
+          status: "Waiting for the merge dates",
+        };
+        return;
+      }
+
+      await this.#completeCheck(revisionData, signal);
+    });
+  }
+
+  /**
+   * Completes the check waiting for the merge dates with the ones entered.
+   * @param {SubmitEvent} e - The submit event of the merge dates form
+   */
+  async #onMergeDatesSubmit(e) {
+    e.preventDefault();
+    const form = new FormData(e.target);
+    const revisionData = {
+      ...this.results.revisionData,
+      betaStartDate: form.get("beta-start-date"),
+      releaseStartDate: form.get("release-start-date"),
+    };
+
+    await this.#runCheck(signal => this.#completeCheck(revisionData, signal));
+  }
+
+  /**
+   * Completes a check once the data of the revision is all there: compares
+   * it to the baseline, if any, and records the verdict in the history.
+   * @param {Object} revisionData - The revision data, with its merge dates
+   * @param {AbortSignal} signal - Aborts fetching the baseline
+   */
+  async #completeCheck(revisionData, signal) {
+    console.log(revisionData);
+
+    let baseline = null;
+    if (this.baselineSha.trim()) {
+      baseline = await this.#getBaseline(this.baselineSha, this.shaType, revisionData, signal);
+    }
+
+    this.results = {
+      sha: revisionData.gitSha,
+      hgSha: revisionData.hgSha,
+      revisionData,
+      baseline,
+      status: computeVerdict(revisionData).label,
+    };
+    this.#updateUrl();
+    await this.#saveCheck(this.results);
+  }
+
+  /**
+   * Fetches the data for the baseline revision of a comparison.
+   * The merge dates don't depend on the revision, so if they couldn't be
+   * fetched, the ones already provided for the candidate revision are used.
+   * @param {string} sha - The baseline commit SHA
+   * @param {string} shaType - Whether sha is a Mercurial or Git SHA
+   * @param {Object} candidateData - The revision data of the candidate revision
+   * @param {AbortSignal} signal - Aborts fetching the baseline
+   * @returns {Promise<Object>} The baseline SHAs and revision data
+   */
+  async #getBaseline(sha, shaType, candidateData, signal) {
+    const { gitSha, hgSha } = await this.#resolveSha(sha, shaType, signal);
+    signal.throwIfAborted();
+    let revisionData = await this.#getRevisionData(gitSha, { signal });
+    revisionData.betaStartDate ??= candidateData.betaStartDate;
+    revisionData.releaseStartDate ??= candidateData.releaseStartDate;
+
+    return {
+      sha: gitSha,
+      hgSha,
+      revisionData,
+    };
+  }
+
+  /**
+   * Resolves the revision to use for train-hop checking.
+   * The revision can be entered as a full or short SHA, a Treeherder push ID
+   * or a link to the revision, see parseRevisionInput(). If nothing is
+   * entered, fetches the latest commit SHA.
+   * @param {string} sha - What was entered, or an empty string for the latest
+   * @param {string} shaType - Whether a SHA is a Mercurial or Git SHA, or
+   *   SHA_TYPE_AUTO to detect it
+   * @param {AbortSignal} signal - Cancels resolving the revision
+   * @returns {Promise<{gitSha: string, hgSha: string}>} The resolved commit SHAs
+   */
+  async #resolveSha(sha, shaType, signal) {
+    if (!sha.trim()) {
       return await this.#getLatestSha();
     }
+
+    const response = await this.#requestOverPort({
+      type: "RESOLVE_REVISION",
+      input: sha,
+      shaType,
+    }, { signal });
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    return response.data;
   }
 
   /**
@@ -213,14 +875,14 @@ class TrainCheckApp extends LitElement {
    */
   async #getLatestSha() {
     const latestSHAResponse = await browser.runtime.sendMessage({
-      type: "GET_LATEST_SHA"
+      type: "GET_LATEST_SHA",
+      options: { forceRefresh: this.forceRefresh },
     });
 
     if (!latestSHAResponse.success) {
       throw new Error(latestSHAResponse.error);
     }
 
-    this.shaType = SHA_TYPE_GIT;
     const gitSha = latestSHAResponse.data;
 
     const hgSha = await this.#getHgSha(gitSha)
@@ -228,24 +890,6 @@ class TrainCheckApp extends LitElement {
     return { gitSha, hgSha };
   }
 
-  /**
-   * Validates that a given SHA exists in the Firefox repository via background service worker.
-   * @param {string} sha - The commit SHA to validate
-   * @returns {Promise<string>} The validated commit SHA
-   */
-  async #validateSha(sha) {
-    const response = await browser.runtime.sendMessage({
-      type: "VALIDATE_SHA",
-      sha: sha
-    });
-    
-    if (!response.success) {
-      throw new Error(response.error);
-    }
-    
-    return response.data;
-  }
-
   /**
    * Converts a Git SHA to Mercurial SHA using background service worker with browser.storage caching.
    * @param {string} gitSha - The Git commit SHA to convert
@@ -283,17 +927,22 @@ class TrainCheckApp extends LitElement {
   }
 
   /**
-   * Gets data about the selected revision from the GitHub repository,
-   * specifically information about the state of the newtab.ftl Fluent files.
+   * Gets all the data needed to check a revision from the background
+   * service worker. The data is fetched over a port, through which the
+   * background script streams its progress.
    *
    * @param {string} gitSha - The Git commit SHA
-   * @returns {Promise<Object>} The Fluent file information (TODO: flesh that out)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request, and aborts
+   *   the fetches the background script is making for it
+   * @param {Function} [options.onProgress] - Called with each progress event
+   * @returns {Promise<Object>} The revision data
    */
-  async #getRevisionData(gitSha) {
-    const response = await browser.runtime.sendMessage({
+  async #getRevisionData(gitSha, { signal, onProgress } = {}) {
+    const response = await this.#requestOverPort({
       type: "GET_REVISION_DATA",
-      gitSha
-    });
+      gitSha,
+    }, { signal, onProgress });
 
     if (!response.success) {
       throw new Error(response.error);
@@ -301,6 +950,65 @@ class TrainCheckApp extends LitElement {
 
     return response.data;
   }
+
+  /**
+   * Sends a request to the background service worker over its own port, so
+   * that it can be cancelled, see handleRevisionDataPort() in background.js.
+   *
+   * @param {Object} request - The request, without its ID and cache options
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request, and aborts
+   *   the fetches the background script is making for it
+   * @param {Function} [options.onProgress] - Called with each progress event
+   * @returns {Promise<Object>} The response, like that of a runtime message
+   */
+  #requestOverPort(request, { signal, onProgress = () => {} } = {}) {
+    const requestId = crypto.randomUUID();
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const port = browser.runtime.connect({ name: REVISION_DATA_PORT });
+
+      const onAbort = () => {
+        port.postMessage({ type: "CANCEL_REVISION_DATA", requestId });
+        port.disconnect();
+        reject(signal.reason);
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      port.onMessage.addListener(message => {
+        // Only this request is sent on this port, but make sure nothing
+        // stale gets through.
+        if (message.requestId != requestId) {
+          return;
+        }
+
+        if (message.type == "progress") {
+          onProgress(message);
+          return;
+        }
+
+        // The signal may outlive the request, as retries share theirs.
+        signal?.removeEventListener("abort", onAbort);
+        port.disconnect();
+        resolve(message);
+      });
+      port.onDisconnect.addListener(() => {
+        signal?.removeEventListener("abort", onAbort);
+        reject(new Error("Lost the connection to the background script"));
+      });
+
+      port.postMessage({
+        ...request,
+        requestId,
+        options: { forceRefresh: this.forceRefresh },
+      });
+    });
+  }
 }
 
 customElements.define("train-check-app", TrainCheckApp);
\ No newline at end of file
@@ -7,16 +7,265 @@ const FIREFOX_REPO_API = "https://api.github.com/repos/mozilla-firefox/firefox";
 const LANDO_GIT2HG_API = "https://lando.moz.tools/api/git2hg/firefox";
 const LANDO_HG2GIT_API = "https://lando.moz.tools/api/hg2git/firefox";
 const TREEHERDER_API = "https://treeherder.mozilla.org/api";
+const HG_MOZILLA_CENTRAL = "https://hg.mozilla.org/mozilla-central";
 const TRAIN_SCHEDULE_API = "https://whattrainisitnow.com/api/release/schedule";
-const BETA_JOB_SYMBOL = "Mbc-beta";
-const RELEASE_JOB_SYMBOL = "Mbc-release";
+const PONTOON_ENTITIES_API = "https://pontoon.mozilla.org/get-entities/";
+const TASKCLUSTER_QUEUE_API = "https://firefox-ci-tc.services.mozilla.com/api/queue/v1";
+const DEFAULT_CANDIDATE_COUNT = 10;
+// The most pushes the candidate finder scans, as allowed by its count input
+const MAX_CANDIDATE_COUNT = 50;
+// How many pushes the candidate finder fetches the trainhop jobs of at a time
+const CANDIDATE_FETCH_CONCURRENCY = 5;
+
+// The newtab.ftl of Firefox, and the copy of it that ships in the XPI
+const NEWTAB_FTL_PATH = "browser/locales/en-US/browser/newtab/newtab.ftl";
+const WEBEXT_GLUE_FTL_PATH = "browser/extensions/newtab/webext-glue/locales/en-US/browser/newtab/newtab.ftl";
+// The manifest of the newtab add-on, whose version train-hop XPIs are built with
+const NEWTAB_MANIFEST_PATH = "browser/extensions/newtab/manifest.json";
+// newtab.ftl as Pontoon knows it, within its "firefox" project
+const PONTOON_PROJECT = "firefox";
+const PONTOON_NEWTAB_FTL_PATH = "browser/browser/newtab/newtab.ftl";
+// How many locales the Pontoon status of the untranslated strings is looked
+// up for at a time
+const PONTOON_FETCH_CONCURRENCY = 4;
+
+// Watching a revision
+const WATCH_STORAGE_KEY = "watchedRevision";
+const WATCH_ALARM_NAME = "watch-revision";
+const WATCH_POLL_MINUTES = 5;
+const BADGE_STYLES = {
+  green: { text: "\u2713", color: "#2ac3a2" },
+  yellow: { text: "\u2026", color: "#ffd567" },
+  red: { text: "\u2717", color: "#e22850" },
+  none: { text: "?", color: "#8f8f9d" },
+};
+
+// Caching of remote lookups. Data that can't change, like the contents of a
+// file at a given SHA, is cached forever. Everything else expires after the
+// number of milliseconds given here.
+const CACHE_KEY_PREFIX = "cache:";
+const CACHE_INDEX_KEY = "cacheIndex";
+const CACHE_MAX_BYTES = 50 * 1024 * 1024;
+const CACHE_TTLS = {
+  "git2hg": Infinity,
+  "hg2git": Infinity,
+  "github-commit": Infinity,
+  "github-contents": Infinity,
+  "github-file-info": Infinity,
+  "github-latest": 60 * 1000,
+  "hg-changeset": Infinity,
+  "treeherder-push-id": Infinity,
+  "treeherder-push": 60 * 60 * 1000,
+  "treeherder-pushes": 60 * 1000,
+  "treeherder-jobs": 60 * 1000,
+  "treeherder-failure-lines": 24 * 60 * 60 * 1000,
+  "rollouts": 5 * 60 * 1000,
+  "pontoon": 10 * 60 * 1000,
+  "taskcluster-task": Infinity,
+  // Tasks that haven't finished yet may still add artifacts
+  "taskcluster-artifacts": 10 * 60 * 1000,
+  "xpi": Infinity,
+  "schedule": 6 * 60 * 60 * 1000,
+};
+// The in-memory copy of the cache index, see getCacheIndex()
+let cacheIndex = null;
+// Cache hits only update the last use of entries, so the index is written
+// back at most this many milliseconds after them, rather than on every hit
+const CACHE_INDEX_SAVE_DELAY = 5 * 1000;
+let cacheIndexSaveTimeout = null;
+
+// History of past checks
+const HISTORY_INDEX_KEY = "historyIndex";
+const HISTORY_ENTRY_KEY_PREFIX = "history:";
+const MAX_HISTORY_ENTRIES = 100;
+
+// The readiness rules, settings, revision links, zip reader and release
+// calendar are ES modules shared with the extension pages, so they're loaded
+// lazily. Like jq, these resolve once the module is ready.
+const readinessRules = import("/scripts/readiness-rules.mjs");
+const settingsModule = import("/scripts/settings.mjs");
+const revisionLinks = import("/scripts/revision-links.mjs");
+const zipReader = import("/scripts/zip-reader.mjs");
+const releaseCalendar = import("/scripts/release-calendar.mjs");
+
+// Context menu items to check the revision of a page, or of a link to one.
+// See REVISION_PAGE_PATTERNS for the pages they're shown on.
+const MENU_CHECK_PAGE = "check-page-revision";
+const MENU_CHECK_LINK = "check-link-revision";
+
+// The GitHub API rate limit, as of the last GitHub API response
+let githubRateLimit = null;
+
+// The kinds of errors fetching a data source can fail with, see describeError()
+const ERROR_KIND_NETWORK = "network";
+const ERROR_KIND_NOT_FOUND = "not-found";
+const ERROR_KIND_RATE_LIMIT = "rate-limit";
+const ERROR_KIND_HTTP = "http";
+const ERROR_KIND_PARSE = "parse";
+const ERROR_KIND_ABORTED = "aborted";
+const ERROR_KIND_UNKNOWN = "unknown";
 
 /**
- * Handle toolbar button clicks - open the extension page
+ * Thrown when a remote lookup fails in a way worth telling apart from other
+ * failures, e.g. because what was looked up doesn't exist.
  */
-browser.action.onClicked.addListener(async () => {
-  const url = browser.runtime.getURL("index.html");
-  await browser.tabs.create({ url });
+class SourceError extends Error {
+  /**
+   * @param {string} kind - One of the ERROR_KIND_* constants
+   * @param {string} message - The error message
+   */
+  constructor(kind, message) {
+    super(message);
+    this.name = "SourceError";
+    this.kind = kind;
+  }
+}
+
+/**
+ * Thrown when the GitHub API rate limit has been used up.
+ */
+class GitHubRateLimitError extends SourceError {
+  /**
+   * @param {number} reset - When the rate limit resets, in seconds since the epoch
+   */
+  constructor(reset) {
+    const resetTime = new Date(reset * 1000).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    super(
+      ERROR_KIND_RATE_LIMIT,
+      `GitHub API rate limited until ${resetTime}. Set a GitHub token in the extension settings to raise the limit.`
+    );
+    this.name = "GitHubRateLimitError";
+    this.reset = reset;
+  }
+}
+
+// The data sources of a revision check. Each one can fail, and be retried,
+// independently of the others. See getRevisionSource().
+const REVISION_SOURCES = ["jobs", "ftl", "locales", "rollouts", "xpi"];
+
+// Extension pages connect a port with this name to make requests for the data
+// of a revision they can cancel, and have it streamed to them as it's
+// fetched, see handleRevisionDataPort()
+const REVISION_DATA_PORT = "revision-data";
+const PROGRESS_RUNNING = "running";
+const PROGRESS_DONE = "done";
+const PROGRESS_FAILED = "failed";
+
+/**
+ * Handle toolbar button clicks - open the extension page, checking the
+ * revision of the current page if it's about one
+ */
+browser.action.onClicked.addListener(async (tab) => {
+  const { revisionFromPageUrl } = await revisionLinks;
+  await openStation(revisionFromPageUrl(tab.url));
+});
+
+/**
+ * Add the context menu items. They persist across browser restarts, so this
+ * is only needed when the extension is installed or updated.
+ */
+browser.runtime.onInstalled.addListener(async () => {
+  const { REVISION_PAGE_PATTERNS } = await revisionLinks;
+  await browser.menus.removeAll();
+  browser.menus.create({
+    id: MENU_CHECK_PAGE,
+    title: "Check this revision in the Train-hop Station",
+    contexts: ["page"],
+    documentUrlPatterns: REVISION_PAGE_PATTERNS,
+  });
+  browser.menus.create({
+    id: MENU_CHECK_LINK,
+    title: "Check the linked revision in the Train-hop Station",
+    contexts: ["link"],
+    targetUrlPatterns: REVISION_PAGE_PATTERNS,
+  });
+});
+
+/**
+ * The menu items are shown on every page of the sites that have revision
+ * pages, as match patterns can't match query strings. Hide them when the page
+ * or link isn't about a revision.
+ */
+browser.menus.onShown.addListener(async (info) => {
+  const { revisionFromPageUrl } = await revisionLinks;
+  if (info.menuIds.includes(MENU_CHECK_PAGE)) {
+    await browser.menus.update(MENU_CHECK_PAGE, {
+      visible: !!revisionFromPageUrl(info.pageUrl),
+    });
+  }
+  if (info.menuIds.includes(MENU_CHECK_LINK)) {
+    await browser.menus.update(MENU_CHECK_LINK, {
+      visible: !!revisionFromPageUrl(info.linkUrl),
+    });
+  }
+  await browser.menus.refresh();
+});
+
+/**
+ * Handle page action clicks - open the extension page, checking the revision
+ * of the page
+ */
+browser.pageAction.onClicked.addListener(async (tab) => {
+  const { revisionFromPageUrl } = await revisionLinks;
+  await openStation(revisionFromPageUrl(tab.url));
+});
+
+/**
+ * Handle context menu clicks - open the extension page, checking the revision
+ * of the page or link
+ */
+browser.menus.onClicked.addListener(async (info) => {
+  const { revisionFromPageUrl } = await revisionLinks;
+  if (info.menuItemId == MENU_CHECK_PAGE) {
+    await openStation(revisionFromPageUrl(info.pageUrl));
+  } else if (info.menuItemId == MENU_CHECK_LINK) {
+    await openStation(revisionFromPageUrl(info.linkUrl));
+  }
+});
+
+/**
+ * Git/Mercurial SHA conversions used to be cached under their own keys, before
+ * there was a cache layer. Clear those out.
+ */
+browser.runtime.onInstalled.addListener(async () => {
+  const everything = await browser.storage.local.get(null);
+  const legacyKeys = Object.keys(everything).filter(key => {
+    return key.startsWith("git2hg:") || key.startsWith("hg2git:");
+  });
+  await browser.storage.local.remove(legacyKeys);
+});
+
+/**
+ * Re-poll the watched revision on a schedule
+ */
+browser.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name == WATCH_ALARM_NAME) {
+    await pollWatchedRevision();
+  }
+});
+
+/**
+ * Alarms don't survive a browser restart, so resume watching the revision
+ * that was being watched, if any.
+ */
+browser.runtime.onStartup.addListener(async () => {
+  const watched = await getWatchedRevision();
+  if (watched && !watched.finished) {
+    await browser.alarms.create(WATCH_ALARM_NAME, { periodInMinutes: WATCH_POLL_MINUTES });
+    await pollWatchedRevision();
+  } else if (watched) {
+    await updateBadge(watched.readiness);
+  }
+});
+
+/**
+ * Handle watched revision notification clicks - open the extension page
+ */
+browser.notifications.onClicked.addListener(async () => {
+  await openStation(null);
 });
 
 /**
@@ -26,6 +275,29 @@ browser.runtime.onMessage.addListener((message, sender) => {
   return handleMessage(message);
 });
 
+/**
+ * Handle ports from the extension page
+ */
+browser.runtime.onConnect.addListener((port) => {
+  if (port.name == REVISION_DATA_PORT) {
+    handleRevisionDataPort(port);
+  }
+});
+
+/**
+ * Opens the extension page in a new tab.
+ * @param {Object|null} check - The check to run, see checkToSearchParams(), or
+ *   null to open the page blank
+ */
+async function openStation(check) {
+  let url = browser.runtime.getURL("index.html");
+  if (check) {
+    const { checkToSearchParams } = await revisionLinks;
+    url += `?${checkToSearchParams(check)}`;
+  }
+  await browser.tabs.create({ url });
+}
+
 /**
  * Routes messages to appropriate handlers
  * @param {Object} message - The message object
@@ -35,7 +307,7 @@ async function handleMessage(message) {
   try {
     switch (message.type) {
       case "GET_LATEST_SHA":
-        const latestSha = await getLatestSha();
+        const latestSha = await getLatestSha(message.options);
         return { success: true, data: latestSha };
         
       case "VALIDATE_SHA":
@@ -51,270 +323,589 @@ async function handleMessage(message) {
         return { success: true, data: gitSha };
 
       case "GET_PUSH_DATA":
-        const pushData = await getPushData(message.hgSha);
+        const pushData = await getPushData(message.hgSha, message.options);
         return { success: true, data: pushData };
 
+      case "FIND_TRAINHOP_CANDIDATES":
+        const candidates = await findTrainhopCandidates(message.count, message.options);
+        return { success: true, data: candidates };
+
+      case "WATCH_REVISION":
+        const watched = await watchRevision(message.gitSha, message.hgSha);
+        return { success: true, data: watched };
+
+      case "UNWATCH_REVISION":
+        await unwatchRevision();
+        return { success: true, data: null };
+
+      case "GET_WATCHED_REVISION":
+        const watchedRevision = await getWatchedRevision();
+        return { success: true, data: watchedRevision };
+
+      case "SAVE_CHECK":
+        const historyEntry = await saveCheck(message.results);
+        return { success: true, data: historyEntry };
+
+      case "GET_HISTORY":
+        const history = await getHistory();
+        return { success: true, data: history };
+
+      case "GET_HISTORY_ENTRY":
+        const check = await getHistoryEntry(message.id);
+        return { success: true, data: check };
+
       case "GET_REVISION_DATA":
-        const revisionData = await getRevisionData(message.gitSha);
+        const revisionData = await getRevisionData(message.gitSha, message.options);
         return { success: true, data: revisionData };
 
+      case "GET_RELEASE_CALENDAR":
+        const calendar = await getReleaseCalendar(message.options);
+        return { success: true, data: calendar };
+
+      case "GET_GITHUB_RATE_LIMIT":
+        return { success: true, data: githubRateLimit };
+
+      case "GET_CACHE_STATS":
+        const cacheStats = await getCacheStats();
+        return { success: true, data: cacheStats };
+
+      case "CLEAR_CACHE":
+        await clearCache();
+        return { success: true, data: null };
+
       default:
         return { success: false, error: "Unknown message type" };
     }
   } catch (error) {
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, errorKind: describeError(error).kind };
   }
 }
 
 /**
- * Fetches the latest commit SHA from the Firefox repository.
- * @returns {Promise<string>} The SHA of the most recent commit
+ * Describes why fetching a data source failed, in a form that can be sent to
+ * the extension pages.
+ * @param {Error} error - The error the source failed with
+ * @returns {{kind: string, message: string}} The kind of error, one of the
+ *   ERROR_KIND_* constants, and its message
  */
-async function getLatestSha() {
-  const response = await fetch(`${FIREFOX_REPO_API}/commits`);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch commits: ${response.status}`);
+function describeError(error) {
+  let kind = ERROR_KIND_UNKNOWN;
+  if (error instanceof SourceError) {
+    kind = error.kind;
+  } else if (error instanceof TypeError) {
+    // fetch() rejects with a TypeError when the request couldn't be made.
+    kind = ERROR_KIND_NETWORK;
+  } else if (error instanceof SyntaxError) {
+    kind = ERROR_KIND_PARSE;
+  } else if (error.name == "AbortError") {
+    kind = ERROR_KIND_ABORTED;
   }
-  
-  const commits = await response.json();
-  if (!commits || commits.length === 0) {
-    throw new Error("No commits found");
+
+  return { kind, message: error.message };
+}
+
+/**
+ * Fetches from the GitHub API, authenticated with the user's personal access
+ * token if they've set one, and keeps track of the rate limit.
+ * @param {string} url - The GitHub API URL
+ * @param {Object} [options] - Cache options, see cached(). Only the signal is
+ *   used here.
+ * @returns {Promise<Response>} The response
+ * @throws {GitHubRateLimitError} If the rate limit has been used up
+ */
+async function githubFetch(url, options = {}) {
+  if (githubRateLimit?.remaining === 0 && githubRateLimit.reset * 1000 > Date.now()) {
+    throw new GitHubRateLimitError(githubRateLimit.reset);
   }
-  
-  return commits[0].sha;
+
+  const { getSettings } = await settingsModule;
+  const { githubToken } = await getSettings();
+
+  const headers = { Accept: "application/vnd.github+json" };
+  if (githubToken) {
+    headers.Authorization = `Bearer ${githubToken}`;
+  }
+
+  const response = await fetch(url, { headers, signal: options.signal });
+
+  if (response.headers.has("X-RateLimit-Remaining")) {
+    githubRateLimit = {
+      limit: parseInt(response.headers.get("X-RateLimit-Limit"), 10),
+      remaining: parseInt(response.headers.get("X-RateLimit-Remaining"), 10),
+      reset: parseInt(response.headers.get("X-RateLimit-Reset"), 10),
+      authenticated: !!githubToken,
+    };
+  }
+
+  if ((response.status === 403 || response.status === 429) && githubRateLimit?.remaining === 0) {
+    throw new GitHubRateLimitError(githubRateLimit.reset);
+  }
+
+  return response;
+}
+
+/**
+ * Fetches the latest commit SHA from the Firefox repository.
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<string>} The SHA of the most recent commit
+ */
+async function getLatestSha(options = {}) {
+  return cached("github-latest", "commits", options, async () => {
+    const response = await githubFetch(`${FIREFOX_REPO_API}/commits`, options);
+    if (!response.ok) {
+      throw new SourceError(ERROR_KIND_HTTP, `Failed to fetch commits: ${response.status}`);
+    }
+
+    const commits = await response.json();
+    if (!commits || commits.length === 0) {
+      throw new Error("No commits found");
+    }
+
+    return commits[0].sha;
+  });
 }
 
 /**
  * Validates that a given SHA exists in the Firefox repository.
  * @param {string} sha - The commit SHA to validate
+ * @param {Object} [options] - Cache options, see cached()
  * @returns {Promise<string>} The validated commit SHA
  */
-async function validateSha(sha) {
-  const response = await fetch(`${FIREFOX_REPO_API}/commits/${sha}`);
-  if (!response.ok) {
-    if (response.status === 404) {
-      throw new Error(`SHA ${sha} not found in repository`);
+async function validateSha(sha, options = {}) {
+  return cached("github-commit", sha, options, async () => {
+    const response = await githubFetch(`${FIREFOX_REPO_API}/commits/${sha}`, options);
+    if (!response.ok) {
+      // GitHub answers 422 for SHAs that don't match any commit.
+      if (response.status === 404 || response.status === 422) {
+        throw new SourceError(ERROR_KIND_NOT_FOUND, `SHA ${sha} not found in repository`);
+      }
+      throw new SourceError(ERROR_KIND_HTTP, `Failed to validate SHA: ${response.status}`);
     }
-    throw new Error(`Failed to validate SHA: ${response.status}`);
-  }
-  
-  const commit = await response.json();
-  return commit.sha;
+
+    const commit = await response.json();
+    return commit.sha;
+  });
 }
 
 /**
- * Converts a Git SHA to Mercurial SHA using Lando API with browser.storage caching.
+ * Converts a Git SHA to Mercurial SHA using Lando API. The mapping never
+ * changes, so it's cached forever.
  * @param {string} gitSha - The Git commit SHA to convert
+ * @param {Object} [options] - Cache options, see cached(). Only the signal is
+ *   used, as the mapping is always cached.
  * @returns {Promise<string>} The corresponding Mercurial SHA
  */
-async function getHgSha(gitSha) {
-  const cacheKey = `git2hg:${gitSha}`;
+async function getHgSha(gitSha, options = {}) {
+  return cached("git2hg", gitSha, {}, async () => {
+    const response = await fetch(`${LANDO_GIT2HG_API}/${gitSha}`, { signal: options.signal });
+    if (!response.ok) {
+      throw new SourceError(
+        response.status === 404 ? ERROR_KIND_NOT_FOUND : ERROR_KIND_HTTP,
+        `Failed to convert Git SHA to Mercurial: ${response.status}`
+      );
+    }
 
-  // Check browser.storage cache first
-  const result = await browser.storage.local.get(cacheKey);
-  if (result[cacheKey]) {
-    return result[cacheKey];
-  }
+    const data = await response.json();
+    return data.hg_hash;
+  });
+}
 
-  // Fetch from Lando API
-  const response = await fetch(`${LANDO_GIT2HG_API}/${gitSha}`);
-  if (!response.ok) {
-    throw new Error(`Failed to convert Git SHA to Mercurial: ${response.status}`);
-  }
+/**
+ * Converts a Merucial SHA to Git SHA using Lando API. The mapping never
+ * changes, so it's cached forever.
+ * @param {string} hgSha - The Mercurial commit SHA to convert
+ * @param {Object} [options] - Cache options, see cached(). Only the signal is
+ *   used, as the mapping is always cached.
+ * @returns {Promise<string>} The corresponding Git SHA
+ */
+async function getGitSha(hgSha, options = {}) {
+  return cached("hg2git", hgSha, {}, async () => {
+    const response = await fetch(`${LANDO_HG2GIT_API}/${hgSha}`, { signal: options.signal });
+    if (!response.ok) {
+      throw new SourceError(
+        response.status === 404 ? ERROR_KIND_NOT_FOUND : ERROR_KIND_HTTP,
+        `Failed to convert Mercurial SHA to Git: ${response.status}`
+      );
+    }
+
+    const data = await response.json();
+    return data.git_hash;
+  });
+}
+
+/**
+ * Expands a possibly abbreviated Mercurial SHA of mozilla-central to the full
+ * SHA, using hg.mozilla.org.
+ * @param {string} sha - The full or abbreviated Mercurial SHA
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<string>} The full Mercurial SHA
+ */
+async function getHgChangeset(sha, options = {}) {
+  return cached("hg-changeset", sha, options, async () => {
+    const response = await fetch(`${HG_MOZILLA_CENTRAL}/json-rev/${sha}`, { signal: options.signal });
+    if (!response.ok) {
+      throw new SourceError(
+        response.status === 404 ? ERROR_KIND_NOT_FOUND : ERROR_KIND_HTTP,
+        `Failed to find Mercurial revision ${sha}: ${response.status}`
+      );
+    }
 
-  const data = await response.json();
-  const hgSha = data.hg_hash;
-  
-  // Cache the result in browser.storage
-  await browser.storage.local.set({ [cacheKey]: hgSha });
+    const data = await response.json();
+    return data.node;
+  });
+}
 
-  return hgSha;
+/**
+ * Gets the Mercurial SHA of the tip of a mozilla-central push on Treeherder.
+ * @param {number} pushId - The Treeherder push ID
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<string>} The Mercurial SHA
+ */
+async function getPushRevision(pushId, options = {}) {
+  return cached("treeherder-push-id", pushId, options, async () => {
+    const response = await fetch(`${TREEHERDER_API}/project/mozilla-central/push/${pushId}/`, { signal: options.signal });
+    if (!response.ok) {
+      throw new SourceError(
+        response.status === 404 ? ERROR_KIND_NOT_FOUND : ERROR_KIND_HTTP,
+        `Failed to find push ${pushId} on mozilla-central: ${response.status}`
+      );
+    }
+
+    const push = await response.json();
+    return push.revision;
+  });
 }
 
 /**
- * Converts a Merucial SHA to Git SHA using Lando API with browser.storage caching.
- * @param {string} hgSha - The Mercurial commit SHA to convert
- * @returns {Promise<string>} The corresponding Git SHA
+ * Resolves what the user entered to identify a revision to its Git and
+ * Mercurial SHAs. See parseRevisionInput() for what can be entered.
+ *
+ * When the kind of a SHA isn't known, a full SHA is looked up as a Mercurial
+ * SHA with Lando before trying GitHub, which saves a GitHub API request for
+ * most checks. An abbreviated SHA is looked up on both GitHub and
+ * hg.mozilla.org, which expand abbreviated SHAs.
+ * @param {string} input - What the user entered
+ * @param {string} [shaType] - Whether a SHA is a Mercurial or Git SHA, or
+ *   "auto" to detect it
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<{gitSha: string, hgSha: string}>} The full SHAs
  */
-async function getGitSha(hgSha) {
-  const cacheKey = `hg2git:${hgSha}`;
+async function resolveRevision(input, shaType, options = {}) {
+  const { parseRevisionInput, SHA_TYPE_HG, SHA_TYPE_GIT } = await revisionLinks;
+  const revision = parseRevisionInput(input, shaType);
 
-  // Check browser.storage cache first
-  const result = await browser.storage.local.get(cacheKey);
-  if (result[cacheKey]) {
-    return result[cacheKey];
+  /**
+   * Returns null instead of throwing if the lookup didn't find anything.
+   */
+  const unlessNotFound = async lookup => {
+    try {
+      return await lookup();
+    } catch (error) {
+      if (error.kind == ERROR_KIND_NOT_FOUND) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  if (revision.pushId) {
+    const hgSha = await getPushRevision(revision.pushId, options);
+    return { gitSha: await getGitSha(hgSha, options), hgSha };
+  }
+
+  if (revision.shaType == SHA_TYPE_HG) {
+    const hgSha = revision.sha.length == 40
+      ? revision.sha
+      : await getHgChangeset(revision.sha, options);
+    return { gitSha: await getGitSha(hgSha, options), hgSha };
   }
 
-  // Fetch from Lando API
-  const response = await fetch(`${LANDO_HG2GIT_API}/${hgSha}`);
-  if (!response.ok) {
-    throw new Error(`Failed to convert Mercurial SHA to Git: ${response.status}`);
+  if (revision.shaType == SHA_TYPE_GIT) {
+    const gitSha = await validateSha(revision.sha, options);
+    return { gitSha, hgSha: await getHgSha(gitSha, options) };
   }
 
-  const data = await response.json();
-  const gitSha = data.git_hash;
-  
-  // Cache the result in browser.storage
-  await browser.storage.local.set({ [cacheKey]: gitSha });
+  // A full SHA is most likely a Mercurial SHA, as those are what Treeherder
+  // shows, so it's looked up as one first.
+  if (revision.sha.length == 40) {
+    const gitSha = await unlessNotFound(() => getGitSha(revision.sha, options));
+    if (gitSha) {
+      return { gitSha, hgSha: revision.sha };
+    }
+  }
 
-  return gitSha;
+  const gitSha = await unlessNotFound(() => validateSha(revision.sha, options));
+  const hgSha = revision.sha.length == 40
+    ? null
+    : await unlessNotFound(() => getHgChangeset(revision.sha, options));
+  if (gitSha && hgSha) {
+    throw new Error(`${revision.sha} is the start of both a Git and a Mercurial SHA. Enter more of it, or pick which kind of SHA it is.`);
+  }
+  if (hgSha) {
+    return { gitSha: await getGitSha(hgSha, options), hgSha };
+  }
+  if (!gitSha) {
+    throw new SourceError(ERROR_KIND_NOT_FOUND, `Couldn't find ${revision.sha} as a Git or Mercurial SHA of mozilla-central`);
+  }
+  return { gitSha, hgSha: await getHgSha(gitSha, options) };
 }
 
 /**
  * Gets push data and trainhop jobs from Treeherder for a Mercurial SHA.
  * @param {string} hgSha - The Mercurial commit SHA
+ * @param {Object} [options] - Cache options, see cached()
+ * @param {Function} [report] - Called with a message after each step
  * @returns {Promise<Object>} The push data and trainhop jobs from Treeherder
  */
-async function getPushData(hgSha) {
+async function getPushData(hgSha, options = {}, report = () => {}) {
   // First, get the push data to extract the push ID
-  const pushResponse = await fetch(`${TREEHERDER_API}/project/mozilla-central/push/?full=true&count=10&revision=${hgSha}`);
-  if (!pushResponse.ok) {
-    throw new Error(`Failed to fetch push data from Treeherder: ${pushResponse.status}`);
-  }
-
-  const pushData = await pushResponse.json();
-  
-  if (!pushData.results || pushData.results.length === 0) {
-    throw new Error(`No push data found for Mercurial SHA: ${hgSha}`);
-  }
-  
-  const push = pushData.results[0];
-  const pushId = push.id;
-  
-  // Then, get the trainhop jobs for this push ID
-  const jobsResponse = await fetch(`${TREEHERDER_API}/jobs/?job_group_symbol=nt-trainhop&push_id=${pushId}`);
-  if (!jobsResponse.ok) {
-    throw new Error(`Failed to fetch trainhop jobs from Treeherder: ${jobsResponse.status}`);
-  }
-  
-  const jobsData = await jobsResponse.json();
-  
-  // Transform job arrays into objects using property names
-  const trainhopJobs = transformJobsData(jobsData);
+  const push = await getPush(hgSha, options);
 
-  // Produce a summary on whether or not it looks like our CI jobs are passing.
-  // The rule here is that if there are only successes for a platform, then
-  // the platform is in "green" state.
-  //
-  // If there is 1 or more pending jobs for a platform, it is in "yellow"
-  // state.
-  //
-  // If there is only 1 failure per job type for a platform, it is in a
-  // "yellow" state, unless there is also a green job of that type for the
-  // platform (in which case, it's in the green state).
-  //
-  // If there are 2 or more failures per job type for a platform, and no green
-  // jobs of that type, then the platform is in the red state.
-  let platforms = new Map();
-  for (trainhopJob of trainhopJobs) {
-    const PLATFORM_KEY = `${trainhopJob.platform} (${trainhopJob.platform_option})`;
-    let status = platforms.get(PLATFORM_KEY) || {
-      [BETA_JOB_SYMBOL]: {
-        passing: 0,
-        failing: 0,
-        unknown: 0,
-      },
-      [RELEASE_JOB_SYMBOL]: {
-        passing: 0,
-        failing: 0,
-        unknown: 0,
-      }
-    };
+  report(`Fetched push ${push.id}, fetching trainhop jobs`);
 
-    let jobType = status[trainhopJob.job_type_symbol];
-    if (trainhopJob.result == "success") {
-      jobType.passing++;
-    } else if (trainhopJob.result == "testfailed") {
-      jobType.failing++;
-    } else {
-      jobType.unknown++;
+  // Then, get the trainhop jobs for this push ID, and what went wrong in the
+  // ones that failed.
+  const trainhopData = await getTrainhopJobs(push, options);
+  report(`Fetched ${trainhopData.trainhopJobs.length} trainhop jobs of push ${push.id}, fetching failure lines`);
+  trainhopData.failureLines = await getFailureLines(trainhopData.trainhopJobs, options);
+  report(`Fetched push ${push.id} and its ${trainhopData.trainhopJobs.length} trainhop jobs`);
+
+  return trainhopData;
+}
+
+/**
+ * Gets the mozilla-central push of a Mercurial SHA from Treeherder.
+ * @param {string} hgSha - The Mercurial commit SHA
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<Object>} The push, as returned by the Treeherder push endpoint
+ */
+async function getPush(hgSha, options = {}) {
+  return cached("treeherder-push", hgSha, options, async () => {
+    const pushResponse = await fetch(`${TREEHERDER_API}/project/mozilla-central/push/?full=true&count=10&revision=${hgSha}`, { signal: options.signal });
+    if (!pushResponse.ok) {
+      throw new SourceError(ERROR_KIND_HTTP, `Failed to fetch push data from Treeherder: ${pushResponse.status}`);
     }
 
-    platforms.set(PLATFORM_KEY, status);
-  }
+    const pushData = await pushResponse.json();
 
-  let summary = {};
+    if (!pushData.results || pushData.results.length === 0) {
+      throw new SourceError(ERROR_KIND_NOT_FOUND, `No push data found for Mercurial SHA: ${hgSha}`);
+    }
 
-  for (let [platformKey, status] of platforms) {
-    summary[platformKey] = {
-      [BETA_JOB_SYMBOL]: "unknown",
-      [RELEASE_JOB_SYMBOL]: "unknown",
-    };
+    return pushData.results[0];
+  });
+}
 
-    for (let jobSymbol of [BETA_JOB_SYMBOL, RELEASE_JOB_SYMBOL]) {
-      if (status[jobSymbol].passing) {
-        summary[platformKey][jobSymbol] = "passing";
-      } else if (status[jobSymbol].failing > 1 && !status[jobSymbol].unknown) {
-        summary[platformKey][jobSymbol] = "failing";
-      } else {
-        summary[platformKey][jobSymbol] = "unknown";
-      }
+/**
+ * Gets the trainhop jobs for a Treeherder push, and summarizes their state.
+ * @param {Object} push - The push, as returned by the Treeherder push endpoint
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<Object>} The push data and trainhop jobs from Treeherder
+ */
+async function getTrainhopJobs(push, options = {}) {
+  const jobsData = await cached("treeherder-jobs", push.id, options, async () => {
+    const jobsResponse = await fetch(`${TREEHERDER_API}/jobs/?job_group_symbol=nt-trainhop&push_id=${push.id}`, { signal: options.signal });
+    if (!jobsResponse.ok) {
+      throw new SourceError(ERROR_KIND_HTTP, `Failed to fetch trainhop jobs from Treeherder: ${jobsResponse.status}`);
     }
-  }
+
+    return jobsResponse.json();
+  });
+
+  const { transformJobsData, summarizeJobs, groupJobs } = await readinessRules;
+
+  // Transform job arrays into objects using property names
+  const trainhopJobs = transformJobsData(jobsData);
+  const summary = summarizeJobs(trainhopJobs);
 
   return {
     push: push,
     trainhopJobs: trainhopJobs,
+    tasks: groupJobs(trainhopJobs),
     summary,
   };
 }
 
 /**
- * Transforms Treeherder jobs data from array format to object format.
- * Maps job_property_names to corresponding indices in each result array.
- * @param {Object} jobsData - The raw jobs data from Treeherder
- * @returns {Array<Object>} Array of job objects with named properties
+ * Gets the error lines of every failing trainhop job of a push.
+ * @param {Array<Object>} trainhopJobs - Jobs as returned by transformJobsData
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<Object<number, Array<{line: string, test: string|null}>>>}
+ *   The error lines, keyed on job ID
  */
-function transformJobsData(jobsData) {
-  if (!jobsData.results || !jobsData.job_property_names) {
+async function getFailureLines(trainhopJobs, options = {}) {
+  const { isFailedJob } = await readinessRules;
+  const failedJobs = trainhopJobs.filter(isFailedJob);
+
+  const failureLines = await Promise.all(failedJobs.map(trainhopJob => {
+    return getJobFailureLines(trainhopJob, options);
+  }));
+
+  return Object.fromEntries(
+    failedJobs.map((trainhopJob, index) => [trainhopJob.id, failureLines[index]])
+  );
+}
+
+/**
+ * Gets the error lines Treeherder extracted from the log of a job. These are
+ * the same lines Treeherder shows in its failure summary, along with the test
+ * file that failed, if any.
+ *
+ * Failing to fetch the lines isn't fatal, as they're only there to save a
+ * trip to Treeherder.
+ * @param {Object} trainhopJob - A job as returned by transformJobsData
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<Array<{line: string, test: string|null}>>} The error lines
+ */
+async function getJobFailureLines(trainhopJob, options = {}) {
+  let suggestions;
+  try {
+    suggestions = await cached("treeherder-failure-lines", trainhopJob.id, options, async () => {
+      const response = await fetch(`${TREEHERDER_API}/project/mozilla-central/jobs/${trainhopJob.id}/bug_suggestions/`, { signal: options.signal });
+      if (!response.ok) {
+        throw new Error(`${response.status}`);
+      }
+      return response.json();
+    });
+  } catch (error) {
+    console.warn(`Failed to fetch failure lines for job ${trainhopJob.id}: ${error.message}`);
     return [];
   }
-  
-  const propertyNames = jobsData.job_property_names;
-  
-  return jobsData.results.map(jobArray => {
-    const jobObject = {};
-    
-    propertyNames.forEach((propertyName, index) => {
-      jobObject[propertyName] = jobArray[index];
-    });
-    
-    return jobObject;
-  });
+
+  const { parseFailureLine } = await readinessRules;
+  return suggestions.map(suggestion => parseFailureLine(suggestion.search, suggestion.path_end));
 }
 
 /**
- * Fetches the Beta and Release merge dates from whattrainisitnow.com API.
- * @returns {Promise<{betaStartDate: string|null, releaseStartDate: string|null}>} The merge dates
+ * Maps items through an async function, with at most a given number of calls
+ * in flight at once, so as not to flood an API with requests.
+ * @param {Array} items - The items to map
+ * @param {number} concurrency - How many calls may be in flight at once
+ * @param {Function} mapper - Maps an item to a promise of its result
+ * @returns {Promise<Array>} The results, in the order of the items
  */
-async function getBetaAndReleaseDates() {
-  try {
-    const [betaResponse, releaseResponse] = await Promise.all([
-      fetch(`${TRAIN_SCHEDULE_API}/?version=beta`),
-      fetch(`${TRAIN_SCHEDULE_API}/?version=release`)
-    ]);
+async function mapWithConcurrency(items, concurrency, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index]);
+    }
+  }
 
-    let betaStartDate = null;
-    let releaseStartDate = null;
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
 
-    if (betaResponse.ok) {
-      const betaData = await betaResponse.json();
-      let betaStartDateObj = Temporal.PlainDate.from(betaData.merge_day);
-      betaStartDate = betaStartDateObj.toString();
+/**
+ * Walks the most recent mozilla-central pushes and ranks them by how ready
+ * their trainhop jobs say they are.
+ * @param {number} count - The number of pushes to look at, up to
+ *   MAX_CANDIDATE_COUNT
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<Array<Object>>} The ranked candidates, see rankCandidates
+ */
+async function findTrainhopCandidates(count = DEFAULT_CANDIDATE_COUNT, options = {}) {
+  count = Math.min(Math.max(Math.trunc(count) || DEFAULT_CANDIDATE_COUNT, 1), MAX_CANDIDATE_COUNT);
+  const pushes = await cached("treeherder-pushes", count, options, async () => {
+    const pushResponse = await fetch(`${TREEHERDER_API}/project/mozilla-central/push/?full=true&count=${count}`, { signal: options.signal });
+    if (!pushResponse.ok) {
+      throw new SourceError(ERROR_KIND_HTTP, `Failed to fetch pushes from Treeherder: ${pushResponse.status}`);
     }
 
-    // The release query needs to be different because the endpoint doesn't
-    // actually tell us the merge-to-beta date for the version on the release
-    // channel. We guesstimate it by getting at the build date for the first
-    // beta of that version, and finding the last prior Monday.
-    if (releaseResponse.ok) {
-      const releaseData = await releaseResponse.json();
-      let releaseStartDateObj =  Temporal.PlainDate.from(releaseData.beta_1);
-      const delta = (releaseStartDateObj.dayOfWeek + 6) % 7; // 0 if Monday, …, 6 if Sunday
-      releaseStartDate = releaseStartDateObj.subtract({ days: delta }).toString();
+    const pushData = await pushResponse.json();
+    if (!pushData.results || pushData.results.length === 0) {
+      throw new SourceError(ERROR_KIND_NOT_FOUND, "No pushes found on mozilla-central");
     }
 
-    return { betaStartDate, releaseStartDate };
+    return pushData.results;
+  });
+
+  const candidates = await mapWithConcurrency(
+    pushes,
+    CANDIDATE_FETCH_CONCURRENCY,
+    push => getTrainhopJobs(push, options)
+  );
+
+  const { rankCandidates } = await readinessRules;
+  return rankCandidates(candidates.map(({ push, summary }) => ({ push, summary })));
+}
+
+/**
+ * Fetches the schedule of a Firefox version from whattrainisitnow.com API.
+ * @param {string} version - The version, or a channel name like "beta"
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<Object|null>} The schedule, or null if it couldn't be fetched
+ */
+async function getTrainSchedule(version, options = {}) {
+  try {
+    return await cached("schedule", version, options, async () => {
+      const response = await fetch(`${TRAIN_SCHEDULE_API}/?version=${version}`, { signal: options.signal });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${version} schedule: ${response.status}`);
+      }
+      return response.json();
+    });
+  } catch (error) {
+    console.warn(error);
+    return null;
+  }
+}
+
+/**
+ * Builds the Firefox release calendar from the whattrainisitnow.com schedules
+ * of the versions on Nightly, Beta and Release.
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<Object<string, Object|null>>} The calendar, see
+ *   buildReleaseCalendar(), with null for the channels whose schedule
+ *   couldn't be fetched
+ */
+async function getReleaseCalendar(options = {}) {
+  const { CALENDAR_CHANNELS, buildReleaseCalendar } = await releaseCalendar;
+  const schedules = await Promise.all(
+    CALENDAR_CHANNELS.map(channel => getTrainSchedule(channel, options))
+  );
+  return buildReleaseCalendar(Object.fromEntries(
+    CALENDAR_CHANNELS.map((channel, index) => [channel, schedules[index]])
+  ));
+}
+
+/**
+ * Gets the trains the trainhop jobs of a push target, with the Firefox version
+ * currently on each from whattrainisitnow.com. A train pinned to a major
+ * version, like "esr140", gets the schedule of that version. If the push has
+ * no trainhop jobs, DEFAULT_TRAINS are assumed.
+ * @param {Array<Object>} trainhopJobs - Jobs as returned by transformJobsData
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<Array<Object>>} The trains, see parseTrainName(), each
+ *   with its version, e.g. "146.0", or null if it couldn't be fetched
+ */
+async function getTrains(trainhopJobs, options = {}) {
+  const { DEFAULT_TRAINS, discoverTrains, parseTrainName } = await readinessRules;
+  let trains = discoverTrains(trainhopJobs);
+  if (!trains.length) {
+    trains = DEFAULT_TRAINS.map(parseTrainName);
+  }
+
+  const schedules = await Promise.all(trains.map(train => {
+    return getTrainSchedule(train.majorVersion ?? train.channel, options);
+  }));
+  return trains.map((train, index) => ({
+    ...train,
+    version: schedules[index]?.version ?? null,
+  }));
+}
+
+/**
+ * Gets the Beta and Release merge dates from the release calendar.
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<{betaStartDate: string|null, releaseStartDate: string|null}>} The merge dates
+ */
+async function getBetaAndReleaseDates(options = {}) {
+  try {
+    const { mergeDates } = await releaseCalendar;
+    return mergeDates(await getReleaseCalendar(options));
   } catch (error) {
     console.warn('Failed to fetch merge dates from API:', error);
     return { betaStartDate: null, releaseStartDate: null };
@@ -323,54 +914,328 @@ async function getBetaAndReleaseDates() {
 
 /**
  * Gets all revision data in parallel for train-hop assessment.
+ *
+ * Each data source (see REVISION_SOURCES) succeeds or fails on its own. The
+ * data of a source that failed is left null, and why it failed is reported
+ * under errors, so that what could be fetched can still be shown.
  * @param {string} gitSha - The Git commit SHA
- * @returns {Promise<Object>} All revision data including files and push info
+ * @param {Object} [options] - Cache options, see cached()
+ * @param {Function} [onProgress] - Called with progress events as the data is
+ *   fetched, see withProgress()
+ * @returns {Promise<Object>} All revision data including files and push info,
+ *   and the errors of the sources that failed, keyed on source
  */
-async function getRevisionData(gitSha) {
+async function getRevisionData(gitSha, options = {}, onProgress = () => {}) {
   // Convert Git SHA to Mercurial SHA first
-  const hgSha = await getHgSha(gitSha);
+  const { hgSha } = await withProgress("hg", "Converting the Git SHA to Mercurial", onProgress, async report => {
+    const hgSha = await getHgSha(gitSha, options);
+    report(`Converted to Mercurial SHA ${hgSha.substring(0, 12)}`);
+    return { hgSha };
+  });
 
   // Fetch all data in parallel
-  const [pushData, newtabFtlInfo, webextGlueFtlInfo, localesReport, mergeDates, rolloutData] = await Promise.all([
-    getPushData(hgSha),
-    getGitHubFileInfo(gitSha, "browser/locales/en-US/browser/newtab/newtab.ftl"),
-    getGitHubFileInfo(gitSha, "browser/extensions/newtab/webext-glue/locales/en-US/browser/newtab/newtab.ftl"),
-    getGitHubFile(gitSha, "browser/extensions/newtab/webext-glue/locales/locales-report.json"),
-    getBetaAndReleaseDates(),
-    getRolloutData()
+  const [mergeDates, ...sourceResults] = await Promise.all([
+    withProgress("schedule", "Fetching the release schedule", onProgress, async report => {
+      const mergeDates = await getBetaAndReleaseDates(options);
+      report(mergeDates.betaStartDate && mergeDates.releaseStartDate
+        ? "Fetched the Beta and Release merge dates"
+        : "Failed to fetch some merge dates, they'll need to be entered by hand");
+      return mergeDates;
+    }),
+    ...REVISION_SOURCES.map(source => {
+      return withProgress(source, `Fetching ${source} data`, onProgress, report => {
+        return getRevisionSource(gitSha, source, options, report);
+      }).then(data => ({ data }), error => ({ error: describeError(error) }));
+    })
   ]);
 
-  // Compare the last modified dates of the two newtab.ftl files
-  const ftlComparison = compareNewtabFtlFileInfos(newtabFtlInfo, webextGlueFtlInfo);
+  // The locale rules are kept with the data, so that the check is evaluated
+  // the same way wherever it's shown, even after the settings change.
+  const { getSettings } = await settingsModule;
+  const { betaFallbackWeeks, unshippedLocales } = await getSettings();
 
-  return {
+  let revisionData = {
     gitSha,
     hgSha,
-    pushData,
-    ftlComparison,
-    localesReport: JSON.parse(localesReport.decodedContent),
+    pushData: null,
+    trains: null,
+    ftlComparison: null,
+    localesReport: null,
+    shippedLocales: null,
+    pontoonStatuses: null,
+    localeRules: { betaFallbackWeeks, unshippedLocales },
     betaStartDate: mergeDates.betaStartDate,
     releaseStartDate: mergeDates.releaseStartDate,
-    rolloutData,
+    rolloutData: null,
+    endedRollouts: null,
+    newtabAddonVersion: null,
+    xpiInfo: null,
+    errors: {},
+  };
+
+  REVISION_SOURCES.forEach((source, index) => {
+    const { data, error } = sourceResults[index];
+    if (error) {
+      console.warn(`Failed to fetch ${source} data for ${gitSha}:`, error.message);
+      revisionData.errors[source] = error;
+    } else {
+      Object.assign(revisionData, data);
+    }
+  });
+
+  // The sources of an aborted request fail with an abort error, which isn't
+  // worth reporting as partial data.
+  options.signal?.throwIfAborted();
+
+  return revisionData;
+}
+
+/**
+ * Fetches one of the data sources of a revision check. This is also how a
+ * source that failed in getRevisionData is retried.
+ * @param {string} gitSha - The Git commit SHA
+ * @param {string} source - One of REVISION_SOURCES
+ * @param {Object} [options] - Cache options, see cached()
+ * @param {Function} [report] - Called with a message after each step
+ * @returns {Promise<Object>} The revision data fields for the source
+ */
+async function getRevisionSource(gitSha, source, options = {}, report = () => {}) {
+  switch (source) {
+    case "jobs": {
+      const hgSha = await getHgSha(gitSha, options);
+      report("Fetching the push from Treeherder");
+      const pushData = await getPushData(hgSha, options, report);
+      return { pushData, trains: await getTrains(pushData.trainhopJobs, options) };
+    }
+
+    case "ftl": {
+      // Compare the last modified dates and the messages of the two
+      // newtab.ftl files
+      const [newtabFtlInfo, webextGlueFtlInfo, newtabFtl, webextGlueFtl] = await Promise.all([
+        getGitHubFileInfo(gitSha, NEWTAB_FTL_PATH, options),
+        getGitHubFileInfo(gitSha, WEBEXT_GLUE_FTL_PATH, options),
+        getGitHubFile(gitSha, NEWTAB_FTL_PATH, options),
+        getGitHubFile(gitSha, WEBEXT_GLUE_FTL_PATH, options),
+      ]);
+      report("Fetched both newtab.ftl files and their history");
+      const { compareNewtabFtlFileInfos, diffFluentMessages } = await readinessRules;
+      return {
+        ftlComparison: {
+          ...compareNewtabFtlFileInfos(newtabFtlInfo, webextGlueFtlInfo),
+          messageDiff: diffFluentMessages(newtabFtl.decodedContent, webextGlueFtl.decodedContent),
+        },
+      };
+    }
+
+    case "locales": {
+      const [localesReportFile, shippedLocales] = await Promise.all([
+        getGitHubFile(gitSha, "browser/extensions/newtab/webext-glue/locales/locales-report.json", options),
+        getGitHubFile(gitSha, "browser/locales/shipped-locales", options),
+      ]);
+      const localesReport = JSON.parse(localesReportFile.decodedContent);
+      report("Fetched the locales report and the shipped locales");
+
+      // The Pontoon statuses only tell which locales to chase, so the
+      // locales report is still worth showing without them.
+      const pontoonStatuses = await getPontoonStatuses(localesReport, options).catch(error => {
+        console.warn(`Failed to fetch the Pontoon status of the untranslated strings: ${error.message}`);
+        return null;
+      });
+      report(pontoonStatuses
+        ? "Fetched the Pontoon status of the untranslated strings"
+        : "Couldn't fetch the Pontoon status of the untranslated strings");
+      const { parseShippedLocales } = await readinessRules;
+      return {
+        localesReport,
+        shippedLocales: parseShippedLocales(shippedLocales.decodedContent),
+        pontoonStatuses,
+      };
+    }
+
+    case "rollouts": {
+      // The rollouts don't depend on the revision, but the version of the
+      // newtab add-on they're compared against does.
+      const [rollouts, newtabManifest] = await Promise.all([
+        getRolloutData(options),
+        getGitHubFile(gitSha, NEWTAB_MANIFEST_PATH, options),
+      ]);
+      const rolloutData = rollouts.filter(rollout => !rollout.endDate);
+      report(`Fetched ${rolloutData.length} active rollout(s) from Experimenter`);
+      return {
+        rolloutData,
+        endedRollouts: rollouts
+          .filter(rollout => rollout.endDate)
+          .sort((a, b) => b.endDate.localeCompare(a.endDate)),
+        newtabAddonVersion: JSON.parse(newtabManifest.decodedContent).version,
+      };
+    }
+
+    case "xpi": {
+      const hgSha = await getHgSha(gitSha, options);
+      const push = await getPush(hgSha, options);
+      const { trainhopJobs } = await getTrainhopJobs(push, options);
+      report(`Looking for the train-hop XPI of push ${push.id}`);
+      const artifact = await findXpiArtifact(push, trainhopJobs, options);
+      report(`Inspecting ${artifact.name}`);
+      const [xpiInfo, trains] = await Promise.all([
+        getXpiInfo(artifact, options),
+        getTrains(trainhopJobs, options),
+      ]);
+      const channelVersions = Object.fromEntries(trains.map(train => [train.name, train.version]));
+      return { xpiInfo: { ...xpiInfo, channelVersions } };
+    }
+
+    default:
+      throw new Error(`Unknown revision data source: ${source}`);
+  }
+}
+
+/**
+ * Runs a step of a revision check, and reports its progress. Progress events
+ * are objects with:
+ *  - source: what is being fetched, e.g. "jobs"
+ *  - state: one of the PROGRESS_* constants
+ *  - message: what was last done, or why the step failed
+ *  - data: once done, the revision data fields the step fetched
+ *  - error: if failed, the kind of error and its message, see describeError()
+ * @param {string} source - What the step fetches
+ * @param {string} message - What the step is starting to do
+ * @param {Function} onProgress - Called with each progress event
+ * @param {Function} step - Runs the step. It's given a function to report
+ *   progress messages with, and returns the data the step fetched.
+ * @returns {Promise<*>} What the step returned
+ */
+async function withProgress(source, message, onProgress, step) {
+  let lastMessage = message;
+  onProgress({ source, state: PROGRESS_RUNNING, message });
+
+  try {
+    const data = await step(stepMessage => {
+      lastMessage = stepMessage;
+      onProgress({ source, state: PROGRESS_RUNNING, message: stepMessage });
+    });
+    onProgress({ source, state: PROGRESS_DONE, message: lastMessage, data });
+    return data;
+  } catch (error) {
+    onProgress({
+      source,
+      state: PROGRESS_FAILED,
+      message: error.message,
+      error: describeError(error),
+    });
+    throw error;
+  }
+}
+
+/**
+ * Handles the requests sent on a REVISION_DATA_PORT port: GET_REVISION_DATA
+ * (gitSha), RESOLVE_REVISION (input, shaType) and GET_REVISION_SOURCE
+ * (gitSha, source), each with a requestId and cache options. A port has at
+ * most one request in flight: a new request supersedes the previous one,
+ * whose fetches are aborted. They're also aborted if the request is cancelled
+ * with CANCEL_REVISION_DATA, or if the port is disconnected, e.g. because its
+ * tab was closed.
+ * @param {browser.runtime.Port} port - The port
+ */
+function handleRevisionDataPort(port) {
+  let current = null;
+
+  port.onDisconnect.addListener(() => {
+    current?.controller.abort();
+  });
+
+  port.onMessage.addListener(message => {
+    switch (message.type) {
+      case "GET_REVISION_DATA":
+      case "RESOLVE_REVISION":
+      case "GET_REVISION_SOURCE":
+        current?.controller.abort();
+        current = {
+          requestId: message.requestId,
+          controller: new AbortController(),
+        };
+        streamRevisionData(port, message, current.controller.signal);
+        break;
+
+      case "CANCEL_REVISION_DATA":
+        if (current?.requestId == message.requestId) {
+          current.controller.abort();
+        }
+        break;
+    }
+  });
+}
+
+/**
+ * Fetches the data of a revision for an extension page connected with a
+ * REVISION_DATA_PORT port, and streams its progress through the port, so that
+ * the page can show what's going on and render each part as it arrives.
+ *
+ * For GET_REVISION_DATA, the port gets a "progress" message for each progress
+ * event (see withProgress). Every request then gets a "result" message with
+ * the response, in the same shape as the responses to runtime messages.
+ * Every message carries the ID of the request. Nothing more is sent once the
+ * request has been aborted.
+ * @param {browser.runtime.Port} port - The port
+ * @param {Object} message - The request sent on the port
+ * @param {AbortSignal} signal - Aborts the request
+ */
+async function streamRevisionData(port, message, signal) {
+  const { requestId } = message;
+  const postMessage = portMessage => {
+    if (!signal.aborted) {
+      port.postMessage({ requestId, ...portMessage });
+    }
   };
+
+  try {
+    const options = { ...message.options, signal };
+    let data;
+    switch (message.type) {
+      case "GET_REVISION_DATA":
+        data = await getRevisionData(message.gitSha, options, event => {
+          postMessage({ type: "progress", ...event });
+        });
+        break;
+
+      case "RESOLVE_REVISION":
+        data = await resolveRevision(message.input, message.shaType, options);
+        break;
+
+      case "GET_REVISION_SOURCE":
+        data = await getRevisionSource(message.gitSha, message.source, options);
+        break;
+    }
+    postMessage({ type: "result", success: true, data });
+  } catch (error) {
+    postMessage({
+      type: "result",
+      success: false,
+      error: error.message,
+      errorKind: describeError(error).kind,
+    });
+  }
 }
 
 /**
  * Fetches a file from the Firefox GitHub repository at a specific commit.
  * @param {string} gitSha - The Git commit SHA
  * @param {string} filePath - The path to the file in the repository
+ * @param {Object} [options] - Cache options, see cached()
  * @returns {Promise<Object>} The file data from GitHub API
  */
-async function getGitHubFile(gitSha, filePath) {
-  const response = await fetch(`${FIREFOX_REPO_API}/contents/${filePath}?ref=${gitSha}`);
-  if (!response.ok) {
-    if (response.status === 404) {
-      throw new Error(`File not found: ${filePath} at ${gitSha}`);
+async function getGitHubFile(gitSha, filePath, options = {}) {
+  const fileData = await cached("github-contents", `${gitSha}:${filePath}`, options, async () => {
+    const response = await githubFetch(`${FIREFOX_REPO_API}/contents/${filePath}?ref=${gitSha}`, options);
+    if (!response.ok) {
+      if (response.status === 404) {
+        throw new SourceError(ERROR_KIND_NOT_FOUND, `File not found: ${filePath} at ${gitSha}`);
+      }
+      throw new SourceError(ERROR_KIND_HTTP, `Failed to fetch file ${filePath}: ${response.status}`);
     }
-    throw new Error(`Failed to fetch file ${filePath}: ${response.status}`);
-  }
 
-  const fileData = await response.json();
+    return response.json();
+  });
 
   // Decode base64 content if it's a file (not a directory)
   if (fileData.type === "file" && fileData.content) {
@@ -385,72 +1250,636 @@ async function getGitHubFile(gitSha, filePath) {
  * GitHub repository at a specific commit.
  * @param {string} gitSha - The Git commit SHA
  * @param {string} filePath - The path to the file in the repository
+ * @param {Object} [options] - Cache options, see cached()
  * @returns {Promise<Object>} The file data from GitHub API
  */
-async function getGitHubFileInfo(gitSha, filePath) {
-  const response = await fetch(`${FIREFOX_REPO_API}/commits?sha=${gitSha}&path=${filePath}&per_page=1`);
-  if (!response.ok) {
-    if (response.status === 404) {
-      throw new Error(`Failed to find commit data for file SHA ${fileData.sha}`);
+async function getGitHubFileInfo(gitSha, filePath, options = {}) {
+  return cached("github-file-info", `${gitSha}:${filePath}`, options, async () => {
+    const response = await githubFetch(`${FIREFOX_REPO_API}/commits?sha=${gitSha}&path=${filePath}&per_page=1`, options);
+    if (!response.ok) {
+      if (response.status === 404) {
+        throw new SourceError(ERROR_KIND_NOT_FOUND, `Failed to find commit data for file ${filePath} at ${gitSha}`);
+      }
+      throw new SourceError(ERROR_KIND_HTTP, `Failed to fetch file info ${filePath}: ${response.status}`);
+    }
+
+    const [commitInfo] = await response.json();
+
+    return {
+      path: filePath,
+      lastModifiedDate: commitInfo.commit.author.date,
+    }
+  });
+}
+
+/**
+ * Fetches the newtabTrainhopAddon rollouts from Experimenter, both active and
+ * ended ones. Ended rollouts have an endDate. Besides what Experimenter
+ * returns, each rollout has:
+ *  - minVersion and maxVersion: the Firefox versions it targets, if limited
+ *  - addonVersion and xpiUrl: the XPI it hops to, from its feature value
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<Array<Object>>} The rollouts
+ */
+async function getRolloutData(options = {}) {
+  const EXPERIMENTER_QUERY_URL = "https://experimenter.services.mozilla.com/api/v8/experiments/?application=firefox-desktop&feature_config=newtabTrainhopAddon";
+  const JQ_QUERY = `[.[] | select(.featureIds | index("newtabTrainhopAddon")) | { "slug": .slug, "userFacingName": .userFacingName, bucketConfig: .bucketConfig, channels: .channels, targeting: .targeting, startDate: .startDate, endDate: .endDate, featureValue: ([.branches[].features[] | select(.featureId == "newtabTrainhopAddon") | .value][0]) }]`;
+  return cached("rollouts", "newtabTrainhopAddon", options, async () => {
+    let jsResponse = await fetch(EXPERIMENTER_QUERY_URL, { signal: options.signal });
+    if (!jsResponse.ok) {
+      throw new SourceError(ERROR_KIND_HTTP, `Failed to fetch rollouts: ${jsResponse.status}`);
+    }
+
+    let responseJSON = await jsResponse.json();
+
+    let jqWeb = await jq;
+    let result = jqWeb.json(responseJSON, JQ_QUERY);
+    const { targetingVersions } = await readinessRules;
+    return result.map(({ featureValue, ...rollout }) => {
+      return {
+        ...rollout,
+        ...targetingVersions(rollout.targeting),
+        addonVersion: featureValue?.addon_version ?? null,
+        xpiUrl: featureValue?.xpi_download_path ?? null,
+      };
+    });
+  });
+}
+
+/**
+ * Gets the definition of a Taskcluster task.
+ * @param {string} taskId - The task ID
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<Object>} The task definition
+ */
+async function getTaskclusterTask(taskId, options = {}) {
+  return cached("taskcluster-task", taskId, options, async () => {
+    const response = await fetch(`${TASKCLUSTER_QUEUE_API}/task/${taskId}`, { signal: options.signal });
+    if (!response.ok) {
+      throw new SourceError(
+        response.status === 404 ? ERROR_KIND_NOT_FOUND : ERROR_KIND_HTTP,
+        `Failed to fetch task ${taskId} from Taskcluster: ${response.status}`
+      );
     }
-    throw new Error(`Failed to fetch file info ${filePath}: ${response.status}`);
+    return response.json();
+  });
+}
+
+/**
+ * Lists the artifacts of the latest run of a Taskcluster task.
+ * @param {string} taskId - The task ID
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<Array<Object>>} The artifacts
+ */
+async function getTaskclusterArtifacts(taskId, options = {}) {
+  return cached("taskcluster-artifacts", taskId, options, async () => {
+    let artifacts = [];
+    let continuationToken = null;
+    do {
+      const url = new URL(`${TASKCLUSTER_QUEUE_API}/task/${taskId}/artifacts`);
+      if (continuationToken) {
+        url.searchParams.set("continuationToken", continuationToken);
+      }
+      const response = await fetch(url, { signal: options.signal });
+      if (!response.ok) {
+        throw new SourceError(
+          response.status === 404 ? ERROR_KIND_NOT_FOUND : ERROR_KIND_HTTP,
+          `Failed to fetch the artifacts of task ${taskId} from Taskcluster: ${response.status}`
+        );
+      }
+
+      const data = await response.json();
+      artifacts.push(...data.artifacts);
+      continuationToken = data.continuationToken;
+    } while (continuationToken);
+    return artifacts;
+  });
+}
+
+/**
+ * Finds the train-hop XPI built for a push. The trainhop jobs install it, so
+ * it's an artifact of one of the tasks they depend on.
+ * @param {Object} push - The push, as returned by the Treeherder push endpoint
+ * @param {Array<Object>} trainhopJobs - Jobs as returned by transformJobsData
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<{taskId: string, name: string, url: string}>} The artifact
+ */
+async function findXpiArtifact(push, trainhopJobs, options = {}) {
+  const trainhopJob = trainhopJobs.find(job => job.task_id);
+  if (!trainhopJob) {
+    throw new SourceError(ERROR_KIND_NOT_FOUND, `Push ${push.id} has no trainhop jobs to find the XPI from`);
   }
 
-  const [commitInfo] = await response.json();
+  const task = await getTaskclusterTask(trainhopJob.task_id, options);
+  for (const taskId of task.dependencies) {
+    const artifacts = await getTaskclusterArtifacts(taskId, options);
+    const xpi = artifacts.find(artifact => artifact.name.endsWith(".xpi"));
+    if (xpi) {
+      return {
+        taskId,
+        name: xpi.name,
+        url: `${TASKCLUSTER_QUEUE_API}/task/${taskId}/artifacts/${xpi.name}`,
+      };
+    }
+  }
 
-  return {
-    path: filePath,
-    lastModifiedDate: commitInfo.commit.author.date,
+  throw new SourceError(ERROR_KIND_NOT_FOUND, `None of the tasks the trainhop jobs of push ${push.id} depend on built an XPI`);
+}
+
+/**
+ * Downloads a train-hop XPI and reads what matters about it from its
+ * manifest and contents. Artifacts never change, so this is cached forever.
+ * @param {{taskId: string, name: string, url: string}} artifact - The XPI
+ *   artifact, see findXpiArtifact()
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<Object>} The artifact, the version of the XPI, the
+ *   strict_min_version and strict_max_version it can be installed on, if
+ *   set, and the locales bundled in it
+ */
+async function getXpiInfo(artifact, options = {}) {
+  return cached("xpi", `${artifact.taskId}:${artifact.name}`, options, async () => {
+    const response = await fetch(artifact.url, { signal: options.signal });
+    if (!response.ok) {
+      throw new SourceError(ERROR_KIND_HTTP, `Failed to download ${artifact.name}: ${response.status}`);
+    }
+
+    const buffer = await response.arrayBuffer();
+    const { listZipEntries, readZipEntry } = await zipReader;
+    const entries = listZipEntries(buffer);
+    const manifestEntry = entries.find(entry => entry.name == "manifest.json");
+    if (!manifestEntry) {
+      throw new SourceError(ERROR_KIND_PARSE, `${artifact.name} has no manifest.json`);
+    }
+
+    const manifest = JSON.parse(new TextDecoder().decode(await readZipEntry(buffer, manifestEntry)));
+    const gecko = manifest.browser_specific_settings?.gecko ?? manifest.applications?.gecko ?? {};
+    const locales = new Set();
+    for (const entry of entries) {
+      const locale = entry.name.match(/(?:^|\/)locales\/([^/]+)\//)?.[1];
+      if (locale) {
+        locales.add(locale);
+      }
+    }
+
+    return {
+      ...artifact,
+      version: manifest.version,
+      strictMinVersion: gecko.strict_min_version ?? null,
+      strictMaxVersion: gecko.strict_max_version ?? null,
+      locales: [...locales].sort(),
+    };
+  });
+}
+
+/**
+ * Lists the newtab.ftl strings of a locale that have a given status in
+ * Pontoon, going through every page of results. See parsePontoonEntities()
+ * for the shape of a page.
+ * @param {string} locale - The locale, e.g. "de"
+ * @param {string} status - The statuses to filter on, as understood by
+ *   Pontoon's translate view, e.g. "translated,pretranslated"
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<string[]>} The Fluent IDs of the strings
+ */
+async function getPontoonEntityKeys(locale, status, options = {}) {
+  const { parsePontoonEntities } = await readinessRules;
+  return cached("pontoon", `${locale}:${status}`, options, async () => {
+    let keys = [];
+    for (let page = 1; ; page++) {
+      const response = await fetch(PONTOON_ENTITIES_API, {
+        method: "POST",
+        headers: { "X-Requested-With": "XMLHttpRequest" },
+        body: new URLSearchParams({
+          project: PONTOON_PROJECT,
+          locale,
+          paths: PONTOON_NEWTAB_FTL_PATH,
+          status,
+          page,
+        }),
+        signal: options.signal,
+      });
+      if (!response.ok) {
+        throw new SourceError(
+          response.status === 404 ? ERROR_KIND_NOT_FOUND : ERROR_KIND_HTTP,
+          `Failed to fetch ${locale} strings from Pontoon: ${response.status}`
+        );
+      }
+
+      const entities = parsePontoonEntities(await response.json());
+      keys.push(...entities.keys);
+      if (!entities.hasNext) {
+        return keys;
+      }
+    }
+  });
+}
+
+/**
+ * Gets where the untranslated newtab.ftl strings of every locale of the
+ * locales report stand in Pontoon, see pontoonStringStatuses().
+ * @param {Object} localesReport - The parsed locales-report.json
+ * @param {Object} [options] - Cache options, see cached()
+ * @returns {Promise<Object<string, Object<string, string>>>} The status of
+ *   each untranslated string, keyed on locale and then on Fluent ID
+ */
+async function getPontoonStatuses(localesReport, options = {}) {
+  const { pontoonStringStatuses, untranslatedStrings } = await readinessRules;
+  const locales = Object.entries(untranslatedStrings(localesReport));
+  const statuses = await mapWithConcurrency(locales, PONTOON_FETCH_CONCURRENCY, async ([locale, fluentKeys]) => {
+    const [translatedKeys, unreviewedKeys] = await Promise.all([
+      getPontoonEntityKeys(locale, "translated,pretranslated", options),
+      getPontoonEntityKeys(locale, "unreviewed", options),
+    ]);
+    return [locale, pontoonStringStatuses(fluentKeys, translatedKeys, unreviewedKeys)];
+  });
+  return Object.fromEntries(statuses);
+}
+
+/**
+ * Gets the revision being watched, as stored in browser.storage.
+ * @returns {Promise<Object|null>} The watched revision, or null if none
+ */
+async function getWatchedRevision() {
+  const result = await browser.storage.local.get(WATCH_STORAGE_KEY);
+  return result[WATCH_STORAGE_KEY] || null;
+}
+
+/**
+ * Starts watching a revision: its trainhop jobs are re-polled on a schedule
+ * until they've all reached a final state, and the toolbar badge reflects
+ * their aggregate state. Any previously watched revision is replaced. The
+ * first poll, made right away, stores the jobs' current state as the
+ * baseline, so only failures that show up after that are notified.
+ * @param {string} gitSha - The Git commit SHA
+ * @param {string} hgSha - The Mercurial commit SHA
+ * @returns {Promise<Object>} The watched revision, after its first poll
+ */
+async function watchRevision(gitSha, hgSha) {
+  await browser.storage.local.set({
+    [WATCH_STORAGE_KEY]: {
+      gitSha,
+      hgSha,
+      summary: null,
+      readiness: null,
+      finished: false,
+      lastPolled: null,
+    },
+  });
+  await browser.alarms.create(WATCH_ALARM_NAME, { periodInMinutes: WATCH_POLL_MINUTES });
+  return pollWatchedRevision();
+}
+
+/**
+ * Stops watching the watched revision, and clears the toolbar badge.
+ */
+async function unwatchRevision() {
+  await browser.alarms.clear(WATCH_ALARM_NAME);
+  await browser.storage.local.remove(WATCH_STORAGE_KEY);
+  await browser.action.setBadgeText({ text: "" });
+}
+
+/**
+ * Re-fetches the trainhop jobs of the watched revision, updates the toolbar
+ * badge, and raises a notification if a new failure showed up or if every
+ * job has reached a final state. Polling stops once the jobs are final. If
+ * there's no baseline to compare against yet, this poll records it.
+ * @returns {Promise<Object|null>} The updated watched revision, or null if none
+ */
+async function pollWatchedRevision() {
+  const watched = await getWatchedRevision();
+  if (!watched) {
+    await browser.alarms.clear(WATCH_ALARM_NAME);
+    return null;
+  }
+
+  let pushData;
+  try {
+    pushData = await getPushData(watched.hgSha);
+  } catch (error) {
+    // Try again on the next alarm.
+    console.warn(`Failed to poll watched revision ${watched.hgSha}:`, error);
+    return watched;
   }
+
+  const { pushReadiness, diffJobSummaries, isSummaryFinal, JOB_STATE_FAILING } = await readinessRules;
+  const readiness = pushReadiness(pushData.summary);
+  const finished = isSummaryFinal(pushData.summary);
+
+  const newFailures = watched.summary
+    ? diffJobSummaries(watched.summary, pushData.summary)
+      .filter(change => change.after == JOB_STATE_FAILING)
+    : [];
+  const shortSha = watched.hgSha.substring(0, 12);
+
+  if (newFailures.length) {
+    await notify(
+      `New trainhop failures on ${shortSha}`,
+      newFailures.map(change => `${change.jobSymbol} on ${change.platform}`).join("\n")
+    );
+  }
+
+  if (finished && !watched.finished) {
+    await notify(
+      `Trainhop jobs finished on ${shortSha}`,
+      `${readiness.passing} of ${readiness.total} job types are passing, ${readiness.failing} are failing.`
+    );
+    await browser.alarms.clear(WATCH_ALARM_NAME);
+  }
+
+  const updated = {
+    ...watched,
+    summary: pushData.summary,
+    readiness,
+    finished,
+    lastPolled: new Date().toISOString(),
+  };
+  await browser.storage.local.set({ [WATCH_STORAGE_KEY]: updated });
+  await updateBadge(readiness);
+
+  return updated;
 }
 
+/**
+ * Shows the aggregate state of the watched revision on the toolbar button.
+ * @param {Object|null} readiness - The result of pushReadiness, if polled yet
+ */
+async function updateBadge(readiness) {
+  const style = BADGE_STYLES[readiness?.state || "none"];
+  await browser.action.setBadgeText({ text: style.text });
+  await browser.action.setBadgeBackgroundColor({ color: style.color });
+}
+
+/**
+ * Raises a notification about the watched revision.
+ * @param {string} title - The notification title
+ * @param {string} message - The notification body
+ */
+async function notify(title, message) {
+  await browser.notifications.create({
+    type: "basic",
+    iconUrl: browser.runtime.getURL("icons/train-background.svg"),
+    title,
+    message,
+  });
+}
 
 /**
- * Compares the last modified dates of the main and webext-glue newtab.ftl files.
- * @param {Object} newtabFtlInfo - Main newtab.ftl file data from GitHub API
- * @param {Object} webextGlueFtlInfo - Webext-glue newtab.ftl file data from GitHub API
- * @returns {Object} Comparison result with dates and sync status
+ * Gets the summaries of all past checks, oldest first.
+ * @returns {Promise<Array<Object>>} The history index
  */
-function compareNewtabFtlFileInfos(newtabFtlInfo, webextGlueFtlInfo) {
-  const mainLastModified = new Date(newtabFtlInfo.lastModifiedDate);
-  const webextLastModified = new Date(webextGlueFtlInfo.lastModifiedDate);
+async function getHistory() {
+  const result = await browser.storage.local.get(HISTORY_INDEX_KEY);
+  return result[HISTORY_INDEX_KEY] || [];
+}
+
+/**
+ * Gets a past check in full, so it can be reopened without refetching.
+ * @param {string} id - The ID of the history entry
+ * @returns {Promise<Object>} The history summary and the check's results
+ */
+async function getHistoryEntry(id) {
+  const entryKey = `${HISTORY_ENTRY_KEY_PREFIX}${id}`;
+  const [history, result] = await Promise.all([
+    getHistory(),
+    browser.storage.local.get(entryKey),
+  ]);
 
-  const timeDiff = mainLastModified.getTime() - webextLastModified.getTime();
-  const daysDiff = Math.round(timeDiff / (1000 * 60 * 60 * 24));
-  
-  let status = "in-sync";
-  let message = "Files are in sync";
-  
-  if (timeDiff > 0) {
-    status = "main-newer";
-    message = `Main newtab.ftl is ${Math.abs(daysDiff)} day(s) newer than webext-glue version`;
-  } else if (timeDiff < 0) {
-    status = "webext-newer";
-    message = `Webext-glue newtab.ftl is ${Math.abs(daysDiff)} day(s) newer than main version`;
+  const summary = history.find(entry => entry.id == id);
+  if (!summary || !result[entryKey]) {
+    throw new Error(`No check found in history with ID ${id}`);
   }
 
   return {
-    status,
-    message,
-    daysDiff
+    ...summary,
+    results: result[entryKey],
   };
 }
 
-async function getRolloutData() {
-  const EXPERIMENTER_QUERY_URL = "https://experimenter.services.mozilla.com/api/v8/experiments/?application=firefox-desktop&feature_config=newtabTrainhopAddon";
-  const JQ_QUERY = `[.[] | select(.featureIds[] == "newtabTrainhopAddon") | select(.endDate == null) | { "slug": .slug, "userFacingName": .userFacingName, bucketConfig: .bucketConfig, channels: .channels }]`;
+/**
+ * Saves a completed check to the history. A summary of the check goes into
+ * the history index, and the full results are stored separately, so that
+ * listing the history doesn't have to load every check. The oldest checks
+ * are dropped once there are more than MAX_HISTORY_ENTRIES.
+ * @param {Object} results - The results of a check, as held by TrainCheckApp
+ * @returns {Promise<Object>} The summary added to the history index
+ */
+async function saveCheck(results) {
+  const {
+    computeVerdict,
+    classifyLocaleStrings,
+    localeRuleOptions,
+    pushReadiness,
+    rolloutPercentage,
+  } = await readinessRules;
+  const { revisionData } = results;
+  const { pushData, localesReport, rolloutData } = revisionData;
+  const { verdict, label } = computeVerdict(revisionData);
+
+  const checkedAt = new Date().toISOString();
+  const summary = {
+    id: `${checkedAt}-${results.sha.substring(0, 12)}`,
+    gitSha: results.sha,
+    hgSha: results.hgSha,
+    checkedAt,
+    verdict,
+    label,
+    // Sources that couldn't be fetched are summarized as null.
+    jobSummary: pushData?.summary ?? null,
+    jobReadiness: pushData ? pushReadiness(pushData.summary) : null,
+    localeCounts: localesReport ? Object.fromEntries(
+      [...classifyLocaleStrings(
+        localesReport,
+        revisionData.betaStartDate,
+        revisionData.releaseStartDate,
+        localeRuleOptions(revisionData)
+      )].map(([locale, { pendingStrings, missingStrings }]) => {
+        return [locale, { pending: pendingStrings.length, missing: missingStrings.length }];
+      })
+    ) : null,
+    rollouts: rolloutData?.map(rollout => {
+      return {
+        slug: rollout.slug,
+        channels: rollout.channels,
+        percentage: rolloutPercentage(rollout),
+      };
+    }) ?? null,
+  };
+
+  let history = await getHistory();
+  history.push(summary);
+  const dropped = history.splice(0, Math.max(0, history.length - MAX_HISTORY_ENTRIES));
+
+  await browser.storage.local.set({
+    [HISTORY_INDEX_KEY]: history,
+    [`${HISTORY_ENTRY_KEY_PREFIX}${summary.id}`]: {
+      sha: results.sha,
+      hgSha: results.hgSha,
+      revisionData,
+    },
+  });
+  if (dropped.length) {
+    await browser.storage.local.remove(
+      dropped.map(entry => `${HISTORY_ENTRY_KEY_PREFIX}${entry.id}`)
+    );
+  }
+
+  return summary;
+}
+
+/**
+ * Returns a value from the cache, or loads and caches it if it isn't cached
+ * or has expired. How long a value stays fresh depends on its source, see
+ * CACHE_TTLS.
+ *
+ * If the value can't be loaded because the GitHub API rate limit has been
+ * used up, an expired value is returned instead, if there is one.
+ * @param {string} source - The kind of data, one of the keys of CACHE_TTLS
+ * @param {string|number} key - What identifies the value within its source
+ * @param {Object} options - Cache options
+ * @param {boolean} [options.forceRefresh] - Skip the cache, and reload the
+ *   value even if a fresh one is cached
+ * @param {AbortSignal} [options.signal] - Aborts the requests made to load the
+ *   value. It's up to the loader to pass it on to fetch().
+ * @param {Function} loader - Loads the value when it needs to be
+ * @returns {Promise<*>} The value
+ */
+async function cached(source, key, options, loader) {
+  const cacheKey = `${CACHE_KEY_PREFIX}${source}:${key}`;
+  const result = await browser.storage.local.get(cacheKey);
+  const entry = result[cacheKey];
+
+  if (entry && !options.forceRefresh && (entry.expiresAt === null || entry.expiresAt > Date.now())) {
+    const index = await getCacheIndex();
+    if (index[cacheKey]) {
+      index[cacheKey].lastUsed = Date.now();
+      scheduleCacheIndexSave();
+    }
+    return entry.value;
+  }
+
+  let value;
   try {
-    let jsResponse = await fetch(EXPERIMENTER_QUERY_URL);
-    if (!jsResponse.ok) {
-      return [];
+    value = await loader();
+  } catch (error) {
+    if (error instanceof GitHubRateLimitError && entry) {
+      console.warn(`Using stale cached ${source} data for ${key}:`, error.message);
+      return entry.value;
     }
+    throw error;
+  }
 
-    let responseJSON = await jsResponse.json();
+  await setCacheEntry(cacheKey, source, value);
+  return value;
+}
 
-    let jqWeb = await jq;
-    let result = jqWeb.json(responseJSON, JQ_QUERY);
-    return result;
-  } catch (e) {
-    return [];
+/**
+ * Gets the cache index, which keeps track of the size and last use of every
+ * cache entry, so that entries can be evicted without loading them. It's kept
+ * in memory and written back to storage whenever entries are added, and
+ * shortly after they're used, see scheduleCacheIndexSave().
+ * @returns {Promise<Object<string, {source: string, size: number, lastUsed: number}>>}
+ */
+async function getCacheIndex() {
+  if (!cacheIndex) {
+    const result = await browser.storage.local.get(CACHE_INDEX_KEY);
+    cacheIndex ??= result[CACHE_INDEX_KEY] || {};
   }
-}
\ No newline at end of file
+  return cacheIndex;
+}
+
+/**
+ * Writes the cache index back to storage once cache hits have settled down,
+ * so that the last use of entries survives restarts and eviction stays least
+ * recently used.
+ */
+function scheduleCacheIndexSave() {
+  clearTimeout(cacheIndexSaveTimeout);
+  cacheIndexSaveTimeout = setTimeout(async () => {
+    cacheIndexSaveTimeout = null;
+    try {
+      await browser.storage.local.set({ [CACHE_INDEX_KEY]: await getCacheIndex() });
+    } catch (error) {
+      console.warn("Failed to save the cache index:", error);
+    }
+  }, CACHE_INDEX_SAVE_DELAY);
+}
+
+/**
+ * Stores a value in the cache, evicting the least recently used entries if
+ * the cache grows beyond CACHE_MAX_BYTES.
+ * @param {string} cacheKey - The storage key for the entry
+ * @param {string} source - The kind of data, one of the keys of CACHE_TTLS
+ * @param {*} value - The value to cache
+ */
+async function setCacheEntry(cacheKey, source, value) {
+  const now = Date.now();
+  const ttl = CACHE_TTLS[source];
+  const size = JSON.stringify(value)?.length || 0;
+
+  const index = await getCacheIndex();
+  index[cacheKey] = { source, size, lastUsed: now };
+
+  let totalSize = Object.values(index).reduce((total, entry) => total + entry.size, 0);
+  const evicted = [];
+  const leastRecentlyUsed = Object.keys(index)
+    .filter(key => key != cacheKey)
+    .sort((a, b) => index[a].lastUsed - index[b].lastUsed);
+  for (const key of leastRecentlyUsed) {
+    if (totalSize <= CACHE_MAX_BYTES) {
+      break;
+    }
+    totalSize -= index[key].size;
+    delete index[key];
+    evicted.push(key);
+  }
+
+  // The index is written here, so a pending save would be redundant
+  clearTimeout(cacheIndexSaveTimeout);
+  cacheIndexSaveTimeout = null;
+  await browser.storage.local.set({
+    [cacheKey]: {
+      value,
+      expiresAt: ttl === Infinity ? null : now + ttl,
+    },
+    [CACHE_INDEX_KEY]: index,
+  });
+  if (evicted.length) {
+    await browser.storage.local.remove(evicted);
+  }
+}
+
+/**
+ * Reports how much is cached, overall and per source.
+ * @returns {Promise<{entries: number, bytes: number, maxBytes: number, sources: Object<string, {entries: number, bytes: number}>}>}
+ */
+async function getCacheStats() {
+  const index = await getCacheIndex();
+  const stats = {
+    entries: 0,
+    bytes: 0,
+    maxBytes: CACHE_MAX_BYTES,
+    sources: {},
+  };
+
+  for (const entry of Object.values(index)) {
+    stats.sources[entry.source] ??= { entries: 0, bytes: 0 };
+    stats.sources[entry.source].entries++;
+    stats.sources[entry.source].bytes += entry.size;
+    stats.entries++;
+    stats.bytes += entry.size;
+  }
+
+  return stats;
+}
+
+/**
+ * Removes everything from the cache.
+ */
+async function clearCache() {
+  const everything = await browser.storage.local.get(null);
+  const cacheKeys = Object.keys(everything).filter(key => key.startsWith(CACHE_KEY_PREFIX));
+  clearTimeout(cacheIndexSaveTimeout);
+  cacheIndexSaveTimeout = null;
+  await browser.storage.local.remove([...cacheKeys, CACHE_INDEX_KEY]);
+  cacheIndex = {};
+}
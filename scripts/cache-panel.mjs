@@ -0,0 +1,130 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+import { LitElement, html, css } from "/vendor/lit3/lit-all.min.js";
+
+/**
+ * Formats a number of bytes for display.
+ * @param {number} bytes - The number of bytes
+ * @returns {string} The formatted size, e.g. "1.5 MB"
+ */
+function formatBytes(bytes) {
+  const UNITS = ["B", "KB", "MB", "GB"];
+  let unit = 0;
+  while (bytes >= 1024 && unit < UNITS.length - 1) {
+    bytes /= 1024;
+    unit++;
+  }
+  return `${unit ? bytes.toFixed(1) : bytes} ${UNITS[unit]}`;
+}
+
+/**
+ * Shows how much the background script has cached, per source, and allows
+ * clearing the cache.
+ */
+class CachePanel extends LitElement {
+  static properties = {
+    stats: { type: Object },
+    clearing: { type: Boolean },
+    error: { type: String },
+  };
+
+  constructor() {
+    super();
+    this.stats = null;
+    this.clearing = false;
+    this.error = null;
+  }
+
+  /**
+   * Reloads the cache usage whenever the panel is opened.
+   * @param {Event} e - The toggle event
+   */
+  async #onToggle(e) {
+    if (e.target.open) {
+      await this.#refreshStats();
+    }
+  }
+
+  async #refreshStats() {
+    const response = await browser.runtime.sendMessage({
+      type: "GET_CACHE_STATS"
+    });
+
+    if (response.success) {
+      this.stats = response.data;
+      this.error = null;
+    } else {
+      this.error = response.error;
+    }
+  }
+
+  async #clearCache() {
+    this.clearing = true;
+
+    const response = await browser.runtime.sendMessage({
+      type: "CLEAR_CACHE"
+    });
+
+    if (response.success) {
+      await this.#refreshStats();
+    } else {
+      this.error = response.error;
+    }
+
+    this.clearing = false;
+  }
+
+  #renderStats() {
+    if (this.error) {
+      return html`<p class="error">Error: ${this.error}</p>`;
+    }
+
+    if (!this.stats) {
+      return null;
+    }
+
+    const sources = Object.keys(this.stats.sources).sort();
+
+    return html`
+      <p>
+        ${this.stats.entries} entries, using ${formatBytes(this.stats.bytes)}
+        of ${formatBytes(this.stats.maxBytes)}.
+      </p>
+      ${sources.length ? html`
+        <table>
+          <thead>
+            <th>Source</th>
+            <th>Entries</th>
+            <th>Size</th>
+          </thead>
+          <tbody>
+            ${sources.map(source => html`
+              <tr>
+                <td>${source}</td>
+                <td class="number">${this.stats.sources[source].entries}</td>
+                <td class="number">${formatBytes(this.stats.sources[source].bytes)}</td>
+              </tr>
+            `)}
+          </tbody>
+        </table>
+      ` : null}
+      <button @click=${this.#clearCache} ?disabled=${this.clearing || !this.stats.entries}>
+        ${this.clearing ? 'Clearing...' : 'Clear Cache'}
+      </button>
+    `;
+  }
+
+  render() {
+    return html`
+      <link rel="stylesheet" href="./styles/cache-panel.css" />
+      <details @toggle=${this.#onToggle}>
+        <summary>Cache</summary>
+        ${this.#renderStats()}
+      </details>
+    `;
+  }
+}
+
+customElements.define("cache-panel", CachePanel);
@@ -0,0 +1,167 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+import { LitElement, html } from "/vendor/lit3/lit-all.min.js";
+import {
+  CALENDAR_CHANNELS,
+  IMMINENT_EVENT_DAYS,
+  cyclePosition,
+  upcomingEvents,
+} from "./release-calendar.mjs";
+
+// The dates shown for each channel, in the order they happen
+const CALENDAR_DATES = [
+  ["nightlyStart", "Nightly start"],
+  ["softCodeFreeze", "Soft code freeze"],
+  ["stringFreeze", "String freeze"],
+  ["mergeDay", "Merge to Beta"],
+  ["beta1", "Beta 1"],
+  ["rcGtb", "RC go to build"],
+  ["rc", "RC"],
+  ["release", "Release"],
+  ["dotRelease", "Planned dot release"],
+];
+
+/**
+ * Describes how far away an event is.
+ * @param {number} days - How many days away the event is
+ * @returns {string} e.g. "today" or "in 3 days"
+ */
+function formatDaysAway(days) {
+  if (days == 0) {
+    return "today";
+  }
+  return days == 1 ? "tomorrow" : `in ${days} days`;
+}
+
+/**
+ * Shows the Firefox release calendar: the versions on each channel, where we
+ * are in the cycle, and warnings about the merges, freezes and releases
+ * coming up that affect when to train-hop.
+ */
+class CalendarPanel extends LitElement {
+  static properties = {
+    calendar: { type: Object },
+    error: { type: String },
+  };
+
+  constructor() {
+    super();
+    this.calendar = null;
+    this.error = null;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.#refreshCalendar();
+  }
+
+  async #refreshCalendar() {
+    const response = await browser.runtime.sendMessage({
+      type: "GET_RELEASE_CALENDAR"
+    });
+
+    if (response.success) {
+      this.calendar = response.data;
+      this.error = null;
+    } else {
+      this.error = response.error;
+    }
+  }
+
+  #renderCycle() {
+    const position = cyclePosition(this.calendar);
+    if (!position) {
+      return html`<p>The merge days of the current cycle aren't known.</p>`;
+    }
+
+    const { nightly, beta, release } = this.calendar;
+    return html`
+      <p>
+        Week <strong>${position.week}</strong> of ${position.weeks} of the cycle,
+        ${formatDaysAway(position.daysLeft)} until Firefox ${nightly.version} merges to Beta
+        (${position.end}).
+      </p>
+      <progress max=${position.weeks} value=${position.week}></progress>
+      <p class="versions">
+        Nightly: <strong>${nightly.version}</strong>,
+        Beta: <strong>${beta.version}</strong>,
+        Release: <strong>${release?.version ?? "unknown"}</strong>
+      </p>
+    `;
+  }
+
+  #renderUpcomingEvents() {
+    const events = upcomingEvents(this.calendar);
+    if (!events.length) {
+      return html`<p>No merges, freezes or releases in the next two weeks.</p>`;
+    }
+
+    return html`
+      <ul class="events">
+        ${events.map(event => html`
+          <li class=${event.daysAway <= IMMINENT_EVENT_DAYS ? "imminent" : ""}>
+            <strong>${event.label}</strong> ${formatDaysAway(event.daysAway)} (${event.date}).
+            ${event.note}
+          </li>
+        `)}
+      </ul>
+    `;
+  }
+
+  #renderSchedules() {
+    const channels = CALENDAR_CHANNELS.filter(channel => this.calendar[channel]);
+    return html`
+      <details>
+        <summary>Schedules</summary>
+        <table>
+          <thead>
+            <th></th>
+            ${channels.map(channel => html`
+              <th>Firefox ${this.calendar[channel].version} (${channel})</th>
+            `)}
+          </thead>
+          <tbody>
+            ${CALENDAR_DATES.map(([key, label]) => html`
+              <tr>
+                <th>${label}</th>
+                ${channels.map(channel => html`<td>${this.calendar[channel][key] ?? "-"}</td>`)}
+              </tr>
+            `)}
+          </tbody>
+        </table>
+      </details>
+    `;
+  }
+
+  render() {
+    if (this.error) {
+      return html`
+        <link rel="stylesheet" href="./styles/calendar-panel.css" />
+        <p class="error">Failed to load the release calendar: ${this.error}</p>
+      `;
+    }
+
+    if (!this.calendar) {
+      return null;
+    }
+
+    if (!this.calendar.nightly || !this.calendar.beta) {
+      return html`
+        <link rel="stylesheet" href="./styles/calendar-panel.css" />
+        <p class="error">The release schedules couldn't be fetched from whattrainisitnow.com.</p>
+      `;
+    }
+
+    return html`
+      <link rel="stylesheet" href="./styles/calendar-panel.css" />
+      <h2>Release calendar</h2>
+      ${this.#renderCycle()}
+      ${this.#renderUpcomingEvents()}
+      ${this.#renderSchedules()}
+    `;
+  }
+}
+
+customElements.define("calendar-panel", CalendarPanel);
@@ -0,0 +1,160 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+import { LitElement, html, css } from "/vendor/lit3/lit-all.min.js";
+import {
+  PUSH_STATE_GREEN,
+  PUSH_STATE_YELLOW,
+  PUSH_STATE_RED,
+  PUSH_STATE_NONE,
+} from "./readiness-rules.mjs";
+
+const DEFAULT_PUSH_COUNT = 10;
+const SYMBOL_MAP = {
+  [PUSH_STATE_GREEN]: "\u{1F7E2}",
+  [PUSH_STATE_YELLOW]: "\u{1F7E1}",
+  [PUSH_STATE_RED]: "\u{1F534}",
+  [PUSH_STATE_NONE]: "\u{26AA}",
+};
+
+/**
+ * Lists the most recent mozilla-central pushes ranked by train-hop readiness.
+ * Fires a "check-revision" event with the Mercurial SHA of a push when the
+ * user wants to check it in full.
+ */
+class CandidateFinder extends LitElement {
+  static properties = {
+    count: { type: Number },
+    loading: { type: Boolean },
+    candidates: { type: Array },
+    error: { type: String },
+  };
+
+  constructor() {
+    super();
+    this.count = DEFAULT_PUSH_COUNT;
+    this.loading = false;
+    this.candidates = null;
+    this.error = null;
+  }
+
+  /**
+   * Handles input changes for the push count field.
+   * @param {Event} e - The input event
+   */
+  #onCountInput(e) {
+    this.count = parseInt(e.target.value, 10) || DEFAULT_PUSH_COUNT;
+  }
+
+  /**
+   * Fetches and ranks the most recent pushes via the background script.
+   */
+  async #findCandidates() {
+    this.loading = true;
+    this.error = null;
+
+    try {
+      const response = await browser.runtime.sendMessage({
+        type: "FIND_TRAINHOP_CANDIDATES",
+        count: this.count,
+      });
+
+      if (response.success) {
+        this.candidates = response.data;
+      } else {
+        this.candidates = null;
+        this.error = response.error;
+      }
+    } catch (error) {
+      // The message itself failed, e.g. the background script went away.
+      this.candidates = null;
+      this.error = error.message;
+    } finally {
+      this.loading = false;
+    }
+  }
+
+  #checkCandidate(candidate) {
+    this.dispatchEvent(new CustomEvent("check-revision", {
+      detail: { hgSha: candidate.push.revision },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  #renderCandidateRow(candidate) {
+    const { push, readiness } = candidate;
+    const TREEHERDER_URL = `https://treeherder.mozilla.org/jobs?repo=mozilla-central&revision=${push.revision}&group_state=expanded&searchStr=nt-trainhop`;
+    const pushDate = new Date(push.push_timestamp * 1000);
+    const description = push.revisions?.[0]?.comments.split("\n")[0] || "";
+
+    return html`
+      <tr class=${candidate.best ? "best" : ""}>
+        <td><span title="${readiness.state}">${SYMBOL_MAP[readiness.state]}</span></td>
+        <td>${readiness.passing}/${readiness.total}</td>
+        <td><a href="${TREEHERDER_URL}" target="_blank"><code>${push.revision.substring(0, 12)}</code></a></td>
+        <td>${pushDate.toLocaleString()}</td>
+        <td class="description" title="${description}">${description}</td>
+        <td><button @click=${() => this.#checkCandidate(candidate)}>Check</button></td>
+      </tr>
+    `;
+  }
+
+  #renderCandidates() {
+    if (this.error) {
+      return html`<p class="error">Error: ${this.error}</p>`;
+    }
+
+    if (!this.candidates) {
+      return null;
+    }
+
+    const best = this.candidates.find(candidate => candidate.best);
+
+    return html`
+      <p>
+        ${best
+          ? html`Newest fully green revision: <strong><code>${best.push.revision}</code></strong>`
+          : html`None of the last ${this.candidates.length} pushes are fully green.`}
+      </p>
+      <table>
+        <thead>
+          <th>State</th>
+          <th>Passing</th>
+          <th>Revision</th>
+          <th>Pushed</th>
+          <th>Description</th>
+          <th></th>
+        </thead>
+        <tbody>
+          ${this.candidates.map(candidate => this.#renderCandidateRow(candidate))}
+        </tbody>
+      </table>
+    `;
+  }
+
+  render() {
+    return html`
+      <link rel="stylesheet" href="./styles/candidate-finder.css" />
+      <details>
+        <summary>Find a train-hop candidate</summary>
+        <label for="push-count-input">Number of recent mozilla-central pushes to scan:</label>
+        <input
+          id="push-count-input"
+          type="number"
+          min="1"
+          max="50"
+          .value=${String(this.count)}
+          @input=${this.#onCountInput}
+        />
+        <button @click=${this.#findCandidates} ?disabled=${this.loading}>
+          ${this.loading ? 'Scanning...' : 'Find Candidates'}
+        </button>
+        ${this.#renderCandidates()}
+      </details>
+    `;
+  }
+}
+
+customElements.define("candidate-finder", CandidateFinder);
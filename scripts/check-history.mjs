@@ -0,0 +1,150 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+import { LitElement, html, css } from "/vendor/lit3/lit-all.min.js";
+import {
+  VERDICT_READY,
+  VERDICT_REVIEW,
+  VERDICT_BLOCKED,
+} from "./readiness-rules.mjs";
+
+const VERDICT_SYMBOL_MAP = {
+  [VERDICT_READY]: "\u{1F7E2}",
+  [VERDICT_REVIEW]: "\u{1F7E1}",
+  [VERDICT_BLOCKED]: "\u{1F534}",
+};
+
+/**
+ * Lists the past checks stored by the background script, grouped by
+ * revision, so that it's possible to see how the readiness of a revision
+ * changed over time. Fires an "open-check" event with the ID of a history
+ * entry when the user wants to reopen it.
+ */
+class CheckHistory extends LitElement {
+  static properties = {
+    history: { type: Array },
+    error: { type: String },
+  };
+
+  constructor() {
+    super();
+    this.history = null;
+    this.error = null;
+  }
+
+  /**
+   * Reloads the history whenever it's opened, as checks may have been made
+   * since it was last loaded.
+   * @param {Event} e - The toggle event
+   */
+  async #onToggle(e) {
+    if (!e.target.open) {
+      return;
+    }
+
+    const response = await browser.runtime.sendMessage({
+      type: "GET_HISTORY"
+    });
+
+    if (response.success) {
+      this.history = response.data;
+      this.error = null;
+    } else {
+      this.error = response.error;
+    }
+  }
+
+  #openCheck(entry) {
+    this.dispatchEvent(new CustomEvent("open-check", {
+      detail: { id: entry.id },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  /**
+   * Groups the history by Git SHA, with the most recently checked revision
+   * first, and the checks of each revision in chronological order.
+   * @returns {Array<{gitSha: string, checks: Array<Object>}>}
+   */
+  #historyByRevision() {
+    let revisions = new Map();
+    for (let entry of this.history) {
+      let checks = revisions.get(entry.gitSha) || [];
+      checks.push(entry);
+      revisions.set(entry.gitSha, checks);
+    }
+
+    return [...revisions]
+      .map(([gitSha, checks]) => ({ gitSha, checks }))
+      .sort((a, b) => {
+        return b.checks.at(-1).checkedAt.localeCompare(a.checks.at(-1).checkedAt);
+      });
+  }
+
+  #renderCheckRow(entry, previous) {
+    const changed = previous && previous.verdict != entry.verdict;
+
+    // The summaries of sources that couldn't be fetched are null.
+    let missingLocales = null;
+    if (entry.localeCounts) {
+      missingLocales = Object.values(entry.localeCounts)
+        .filter(counts => counts.missing).length;
+    }
+
+    return html`
+      <tr class=${changed ? "changed" : ""}>
+        <td>${new Date(entry.checkedAt).toLocaleString()}</td>
+        <td>${VERDICT_SYMBOL_MAP[entry.verdict]} ${entry.label}</td>
+        <td>${entry.jobReadiness ? `${entry.jobReadiness.passing}/${entry.jobReadiness.total} passing` : "Jobs unavailable"}</td>
+        <td>${missingLocales === null ? "Locales unavailable" : `${missingLocales} locale(s) missing strings`}</td>
+        <td>${entry.rollouts ? entry.rollouts.map(rollout => `${rollout.slug} ${rollout.percentage}%`).join(", ") || "No rollouts" : "Rollouts unavailable"}</td>
+        <td><button @click=${() => this.#openCheck(entry)}>Open</button></td>
+      </tr>
+    `;
+  }
+
+  #renderHistory() {
+    if (this.error) {
+      return html`<p class="error">Error: ${this.error}</p>`;
+    }
+
+    if (!this.history) {
+      return null;
+    }
+
+    if (!this.history.length) {
+      return html`<p>No checks have been made yet.</p>`;
+    }
+
+    return this.#historyByRevision().map(({ gitSha, checks }) => {
+      const latest = checks.at(-1);
+      return html`
+        <details name="revision">
+          <summary>
+            ${VERDICT_SYMBOL_MAP[latest.verdict]} <code>${gitSha.substring(0, 12)}</code>
+            - ${checks.length} check(s), last ${new Date(latest.checkedAt).toLocaleString()}
+          </summary>
+          <table>
+            <tbody>
+              ${checks.map((entry, index) => this.#renderCheckRow(entry, checks[index - 1]))}
+            </tbody>
+          </table>
+        </details>
+      `;
+    });
+  }
+
+  render() {
+    return html`
+      <link rel="stylesheet" href="./styles/check-history.css" />
+      <details @toggle=${this.#onToggle}>
+        <summary class="title">History of past checks</summary>
+        ${this.#renderHistory()}
+      </details>
+    `;
+  }
+}
+
+customElements.define("check-history", CheckHistory);
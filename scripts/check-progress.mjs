@@ -0,0 +1,63 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+import { LitElement, html, css } from "/vendor/lit3/lit-all.min.js";
+
+// What each step of a check is called, in the order they're listed
+const STEP_LABELS = {
+  hg: "Mercurial SHA",
+  schedule: "Release schedule",
+  jobs: "Trainhop jobs",
+  ftl: "newtab.ftl history",
+  locales: "Locales report",
+  rollouts: "Rollouts",
+  xpi: "Train-hop XPI",
+};
+const STATE_SYMBOL_MAP = {
+  running: "⏳",
+  done: "✅",
+  failed: "❌",
+};
+
+/**
+ * Lists the steps of a running check, as streamed by the background script,
+ * with what each step last did.
+ */
+class CheckProgress extends LitElement {
+  static properties = {
+    // The last progress event of each step, keyed on step
+    progress: { type: Object },
+  };
+
+  constructor() {
+    super();
+    this.progress = null;
+  }
+
+  render() {
+    if (!this.progress) {
+      return null;
+    }
+
+    const steps = Object.keys(STEP_LABELS).filter(step => this.progress[step]);
+
+    return html`
+      <link rel="stylesheet" href="./styles/check-progress.css" />
+      <ul>
+        ${steps.map(step => {
+          const { state, message } = this.progress[step];
+          return html`
+            <li class=${state}>
+              <span title=${state}>${STATE_SYMBOL_MAP[state]}</span>
+              <span class="step">${STEP_LABELS[step]}</span>
+              ${message}
+            </li>
+          `;
+        })}
+      </ul>
+    `;
+  }
+}
+
+customElements.define("check-progress", CheckProgress);
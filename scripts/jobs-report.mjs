@@ -3,37 +3,188 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
 import {LitElement, html, css} from "/vendor/lit3/lit-all.min.js";
+import {
+  JOB_STATE_UNKNOWN,
+  JOB_STATE_PASSING,
+  JOB_STATE_FAILING,
+  JOB_OUTCOMES,
+  FAILURE_CLASSIFICATIONS,
+  countOutcomes,
+  discoverTrains,
+  groupFailingTests,
+  platformKey,
+  trainLabel,
+} from "./readiness-rules.mjs";
 
-const BETA_JOB_SYMBOL = "Mbc-beta";
-const RELEASE_JOB_SYMBOL = "Mbc-release";
 const SYMBOL_MAP = {
-  "unknown": "\u{1F7E1}",
-  "passing": "\u{1F7E2}",
-  "failing": "\u{1F534}",
+  [JOB_STATE_UNKNOWN]: "\u{1F7E1}",
+  [JOB_STATE_PASSING]: "\u{1F7E2}",
+  [JOB_STATE_FAILING]: "\u{1F534}",
 }
+const TREEHERDER_LOG_URL = "https://treeherder.mozilla.org/logviewer";
+const TASKCLUSTER_TASK_URL = "https://firefox-ci-tc.services.mozilla.com/tasks";
 
  class JobsReport extends LitElement {
   static properties = {
     pushData: { type: Object },
+    // Only show the jobs of this channel, if set
+    channel: { type: String },
+    expandedPlatforms: { state: true },
   };
 
   constructor() {
     super();
     this.pushData = null;
+    this.channel = "";
+    this.expandedPlatforms = new Set();
+  }
+
+  /**
+   * Lists the trains the jobs of the push target, which get a column each.
+   * @returns {Array<{channel: string, label: string, jobSymbol: string}>}
+   */
+  #columns() {
+    return discoverTrains(this.pushData.trainhopJobs)
+      .filter(train => !this.channel || train.channel == this.channel)
+      .map(train => ({ ...train, label: trainLabel(train) }));
+  }
+
+  #togglePlatform(platform) {
+    let expandedPlatforms = new Set(this.expandedPlatforms);
+    if (expandedPlatforms.has(platform)) {
+      expandedPlatforms.delete(platform);
+    } else {
+      expandedPlatforms.add(platform);
+    }
+    this.expandedPlatforms = expandedPlatforms;
+  }
+
+  #renderOutcomeCounts(tasks) {
+    let counts = countOutcomes(tasks);
+    return JOB_OUTCOMES
+      .filter(outcome => counts[outcome])
+      .map(outcome => `${counts[outcome]} ${outcome}`)
+      .join(", ");
   }
 
   #renderPlatformRow(platform, platformSummary) {
-    const BETA_SYMBOL = SYMBOL_MAP[platformSummary[BETA_JOB_SYMBOL]];
-    const RELEASE_SYMBOL = SYMBOL_MAP[platformSummary[RELEASE_JOB_SYMBOL]];
+    const columns = this.#columns();
+    const tasks = this.pushData.tasks?.[platform] || {};
+    const expanded = this.expandedPlatforms.has(platform);
+    return html`
+      <tr class="platform">
+        <td>
+          <button class="expand" @click=${() => this.#togglePlatform(platform)} aria-expanded=${expanded}>
+            ${expanded ? "▾" : "▸"}
+          </button>
+          ${platform}
+        </td>
+        ${columns.map(({ jobSymbol }) => html`
+          <td><span title="${platformSummary[jobSymbol]}">${SYMBOL_MAP[platformSummary[jobSymbol]]}</span> ${this.#renderOutcomeCounts(tasks[jobSymbol] || [])}</td>
+        `)}
+      </tr>
+      ${this.#renderFailureLines(platform)}
+      ${expanded ? html`
+        <tr class="jobs">
+          <td colspan=${columns.length + 1}>
+            ${columns.map(({ jobSymbol }) => this.#renderTasks(jobSymbol, tasks[jobSymbol] || []))}
+          </td>
+        </tr>
+      ` : null}
+    `;
+  }
+
+  #renderFailureLines(platform) {
+    const columns = this.#columns();
+    const failedJobs = this.pushData.trainhopJobs.filter(trainhopJob => {
+      return platformKey(trainhopJob) == platform &&
+        columns.some(column => column.jobSymbol == trainhopJob.job_type_symbol) &&
+        this.pushData.failureLines?.[trainhopJob.id]?.length;
+    });
+
+    if (!failedJobs.length) {
+      return null;
+    }
+
     return html`
-      <tr>
-        <td>${platform}</td>
-        <td><span title="${platformSummary[BETA_JOB_SYMBOL]}">${BETA_SYMBOL}</span></td>
-        <td><span title="${platformSummary[RELEASE_JOB_SYMBOL]}">${RELEASE_SYMBOL}</span></td>
+      <tr class="failures">
+        <td colspan=${columns.length + 1}>
+          ${failedJobs.map(trainhopJob => html`
+            <p>${trainhopJob.job_type_symbol} (run ${(trainhopJob.retry_id || 0) + 1})</p>
+            <ul>
+              ${this.pushData.failureLines[trainhopJob.id].map(({ line }) => html`<li><code>${line}</code></li>`)}
+            </ul>
+          `)}
+        </td>
       </tr>
     `;
   }
 
+  #renderFailingTests(platforms) {
+    const failingTests = groupFailingTests(this.pushData);
+    if (!failingTests.length) {
+      return null;
+    }
+
+    return html`
+      <h2>Failing tests</h2>
+      <table class="failing-tests">
+        <thead>
+          <th>Test</th>
+          <th>Platforms</th>
+          <th>Jobs</th>
+        </thead>
+        <tbody>
+          ${failingTests.map(failingTest => html`
+            <tr class=${failingTest.platforms.length == platforms.length ? "everywhere" : ""}>
+              <td><code title="${failingTest.lines.join("\n")}">${failingTest.test}</code></td>
+              <td>
+                ${failingTest.platforms.length == platforms.length
+                  ? html`<strong>All ${platforms.length} platforms</strong>`
+                  : failingTest.platforms.join(", ")}
+              </td>
+              <td>${failingTest.jobSymbols.join(", ")}</td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    `;
+  }
+
+  #renderTasks(jobSymbol, tasks) {
+    if (!tasks.length) {
+      return html`<p>No ${jobSymbol} jobs.</p>`;
+    }
+
+    return html`
+      <p>${jobSymbol}</p>
+      <ul>
+        ${tasks.map(task => html`
+          <li class=${task.outcome}>
+            <strong>${task.outcome}</strong>
+            <ul>
+              ${task.attempts.map(attempt => this.#renderAttempt(attempt))}
+            </ul>
+          </li>
+        `)}
+      </ul>
+    `;
+  }
+
+  #renderAttempt(attempt) {
+    const LOG_URL = `${TREEHERDER_LOG_URL}?job_id=${attempt.id}&repo=mozilla-central`;
+    const TASK_URL = `${TASKCLUSTER_TASK_URL}/${attempt.task_id}`;
+    const classification = FAILURE_CLASSIFICATIONS[attempt.failure_classification_id];
+    return html`
+      <li>
+        Run ${(attempt.retry_id || 0) + 1}: ${attempt.state}${attempt.state == "completed" ? html` / ${attempt.result}` : ""}
+        ${classification && attempt.failure_classification_id != 1 ? html`(${classification})` : ""}
+        - <a href="${LOG_URL}" target="_blank">log</a>
+        - <a href="${TASK_URL}" target="_blank">task</a>
+      </li>
+    `;
+  }
+
   render() {
     const platforms = Object.keys(this.pushData.summary);
 
@@ -43,8 +194,7 @@ const SYMBOL_MAP = {
       <table>
         <thead>
           <th>Platform</th>
-          <th>Beta</th>
-          <th>Release</th>
+          ${this.#columns().map(column => html`<th>${column.label}</th>`)}
         </thead>
         <tbody>
           ${platforms.map(platform => {
@@ -52,8 +202,9 @@ const SYMBOL_MAP = {
           })}
         </tbody>
       </table>
+      ${this.#renderFailingTests(platforms)}
     `;
   }
  }
 
- customElements.define("jobs-report", JobsReport);
\ No newline at end of file
+ customElements.define("jobs-report", JobsReport);
@@ -0,0 +1,259 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+import { LitElement, html } from "/vendor/lit3/lit-all.min.js";
+import {
+  classifyLocaleStrings,
+  localeRuleOptions,
+  summarizeLocales,
+  UNSHIPPED_LOCALES_FLAG,
+} from "./readiness-rules.mjs";
+
+// How many checked revisions the trend of each locale goes back
+const TREND_LENGTH = 10;
+const TREND_WIDTH = 120;
+const TREND_HEIGHT = 24;
+
+const FILTER_ALL = "all";
+const FILTER_TIER_1 = "tier-1";
+const FILTER_SHIPPED = "shipped";
+const FILTER_NOT_SHIPPED = "not-shipped";
+
+const FILTERS = {
+  [FILTER_ALL]: () => true,
+  [FILTER_TIER_1]: summary => summary.tier1,
+  [FILTER_SHIPPED]: summary => summary.shipped,
+  [FILTER_NOT_SHIPPED]: summary => summary.shipped === false,
+};
+
+// The columns the locales can be sorted by, and how they compare
+const SORT_COLUMNS = {
+  locale: (a, b) => a.locale.localeCompare(b.locale),
+  completion: (a, b) => a.completion - b.completion,
+  pending: (a, b) => a.pending - b.pending,
+  missing: (a, b) => a.missing - b.missing,
+};
+
+/**
+ * Shows how complete the newtab.ftl translation of every locale in the
+ * locales report is, and how the pending and missing counts of each locale
+ * changed over the last few checked revisions, according to the history of
+ * past checks.
+ */
+class LocalesDashboard extends LitElement {
+  static properties = {
+    localesReport: { type: Object },
+    shippedLocales: { type: Array },
+    localeRules: { type: Object },
+    betaStartDate: { type: String },
+    releaseStartDate: { type: String },
+    sha: { type: String },
+    history: { state: true },
+    filter: { state: true },
+    sortColumn: { state: true },
+    sortDescending: { state: true },
+  };
+
+  constructor() {
+    super();
+    this.localesReport = null;
+    this.shippedLocales = null;
+    this.localeRules = null;
+    this.history = null;
+    this.filter = FILTER_ALL;
+    this.sortColumn = "completion";
+    this.sortDescending = false;
+  }
+
+  willUpdate(changedProperties) {
+    if (changedProperties.has("sha")) {
+      this.#loadHistory();
+    }
+  }
+
+  /**
+   * Loads the history of past checks the trends are drawn from.
+   */
+  async #loadHistory() {
+    const response = await browser.runtime.sendMessage({
+      type: "GET_HISTORY"
+    });
+
+    // The trends are only extra context, so they're left out if the history
+    // can't be loaded.
+    this.history = response.success ? response.data : [];
+  }
+
+  /**
+   * Returns the locale counts of the last few checked revisions, oldest
+   * first, ending with the revision being shown. Only the latest check of
+   * each revision is used.
+   * @param {Map} classified - The classified strings of the revision shown
+   * @returns {Array<{gitSha: string, localeCounts: Object}>}
+   */
+  #trendPoints(classified) {
+    let latestByRevision = new Map();
+    for (let entry of this.history ?? []) {
+      if (entry.localeCounts && entry.gitSha != this.sha) {
+        latestByRevision.delete(entry.gitSha);
+        latestByRevision.set(entry.gitSha, entry.localeCounts);
+      }
+    }
+
+    let localeCounts = Object.fromEntries(
+      [...classified].map(([locale, { pendingStrings, missingStrings }]) => {
+        return [locale, { pending: pendingStrings.length, missing: missingStrings.length }];
+      })
+    );
+
+    return [...latestByRevision]
+      .map(([gitSha, counts]) => ({ gitSha, localeCounts: counts }))
+      .slice(-(TREND_LENGTH - 1))
+      .concat({ gitSha: this.sha, localeCounts });
+  }
+
+  #onFilterChange(e) {
+    this.filter = e.target.value;
+  }
+
+  /**
+   * Sorts by a column, or reverses the order if already sorted by it.
+   * @param {string} column - One of the keys of SORT_COLUMNS
+   */
+  #sortBy(column) {
+    this.sortDescending = this.sortColumn == column ? !this.sortDescending : false;
+    this.sortColumn = column;
+  }
+
+  #renderSortHeader(column, label) {
+    let indicator = "";
+    if (this.sortColumn == column) {
+      indicator = this.sortDescending ? " ▾" : " ▴";
+    }
+    return html`
+      <th>
+        <button class="sort" @click=${() => this.#sortBy(column)}>${label}${indicator}</button>
+      </th>
+    `;
+  }
+
+  /**
+   * Draws the pending and missing counts of a locale over the trend points.
+   * A locale that isn't in the counts of a check had nothing untranslated.
+   * @param {string} locale - The locale
+   * @param {Array<Object>} points - The result of #trendPoints
+   * @param {number} maxCount - The largest count of any locale, to scale by
+   */
+  #renderTrend(locale, points, maxCount) {
+    if (points.length < 2) {
+      return null;
+    }
+
+    let counts = points.map(point => point.localeCounts[locale] ?? { pending: 0, missing: 0 });
+    let toPolyline = key => counts.map((count, index) => {
+      let x = (index / (points.length - 1)) * TREND_WIDTH;
+      let y = TREND_HEIGHT - (count[key] / (maxCount || 1)) * (TREND_HEIGHT - 2) - 1;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(" ");
+    let description = counts
+      .map((count, index) => `${points[index].gitSha.substring(0, 12)}: ${count.pending} pending, ${count.missing} missing`)
+      .join("\n");
+
+    return html`
+      <svg class="trend" width=${TREND_WIDTH} height=${TREND_HEIGHT} role="img">
+        <title>${description}</title>
+        <polyline class="pending" points=${toPolyline("pending")}></polyline>
+        <polyline class="missing" points=${toPolyline("missing")}></polyline>
+      </svg>
+    `;
+  }
+
+  #renderShipped(shipped) {
+    if (shipped === null) {
+      return "?";
+    }
+    return shipped ? "Yes" : "No";
+  }
+
+  render() {
+    if (!this.localesReport || !this.betaStartDate || !this.releaseStartDate) {
+      return null;
+    }
+
+    // Every locale is shown, whether it ships or not, as there's a filter
+    // for that.
+    let options = localeRuleOptions(this);
+    let classified = classifyLocaleStrings(
+      this.localesReport,
+      this.betaStartDate,
+      this.releaseStartDate,
+      {
+        ...options,
+        rules: { ...options.rules, unshippedLocales: UNSHIPPED_LOCALES_FLAG },
+      }
+    );
+    let summaries = summarizeLocales(this.localesReport, classified, this.shippedLocales ?? null)
+      .filter(FILTERS[this.filter]);
+    summaries.sort(SORT_COLUMNS[this.sortColumn]);
+    if (this.sortDescending) {
+      summaries.reverse();
+    }
+
+    let points = this.#trendPoints(classified);
+    let maxCount = Math.max(0, ...points.flatMap(point => {
+      return Object.values(point.localeCounts).flatMap(count => [count.pending, count.missing]);
+    }));
+    let complete = summaries.filter(summary => summary.completion == 1).length;
+
+    return html`
+      <link rel="stylesheet" href="./styles/locales-dashboard.css" />
+      <h2>Translation completeness</h2>
+      <div class="controls">
+        <label for="locale-filter">Show:</label>
+        <select id="locale-filter" @change=${this.#onFilterChange}>
+          <option value=${FILTER_ALL} ?selected=${this.filter == FILTER_ALL}>All locales</option>
+          <option value=${FILTER_TIER_1} ?selected=${this.filter == FILTER_TIER_1}>Tier 1 locales</option>
+          <option value=${FILTER_SHIPPED} ?selected=${this.filter == FILTER_SHIPPED} ?disabled=${!this.shippedLocales}>Locales shipped on Release</option>
+          <option value=${FILTER_NOT_SHIPPED} ?selected=${this.filter == FILTER_NOT_SHIPPED} ?disabled=${!this.shippedLocales}>Locales not shipped on Release</option>
+        </select>
+        <span>${complete} of ${summaries.length} locale(s) fully translated</span>
+      </div>
+      <table>
+        <thead>
+          <tr>
+            ${this.#renderSortHeader("locale", "Locale")}
+            <th>Tier 1</th>
+            <th>Shipped</th>
+            ${this.#renderSortHeader("completion", "Completion")}
+            ${this.#renderSortHeader("pending", "Pending")}
+            ${this.#renderSortHeader("missing", "Missing")}
+            <th>
+              Trend over ${points.length} revision(s)
+              <span class="legend pending">pending</span>
+              <span class="legend missing">missing</span>
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          ${summaries.map(summary => html`
+            <tr class=${summary.missing ? "has-missing" : ""}>
+              <td><code>${summary.locale}</code></td>
+              <td>${summary.tier1 ? "Yes" : ""}</td>
+              <td>${this.#renderShipped(summary.shipped)}</td>
+              <td>
+                <meter min="0" max="1" low="0.9" high="0.99" optimum="1" .value=${summary.completion}></meter>
+                ${(summary.completion * 100).toFixed(1)}%
+              </td>
+              <td>${summary.pending}</td>
+              <td>${summary.missing}</td>
+              <td>${this.#renderTrend(summary.locale, points, maxCount)}</td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    `;
+  }
+}
+
+customElements.define("locales-dashboard", LocalesDashboard);
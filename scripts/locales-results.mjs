@@ -3,10 +3,30 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
 import { LitElement, html, css } from "/vendor/lit3/lit-all.min.js";
+import {
+  classifyLocaleStrings,
+  ftlUpdateNeeded,
+  localeRuleOptions,
+  PONTOON_AWAITING_EXPORT,
+  PONTOON_NEEDS_REVIEW,
+  PONTOON_UNTRANSLATED,
+} from "./readiness-rules.mjs";
+import "./locales-dashboard.mjs";
+
+const PONTOON_STATUS_LABELS = {
+  [PONTOON_AWAITING_EXPORT]: "translated, awaiting export",
+  [PONTOON_NEEDS_REVIEW]: "suggestion needs review",
+  [PONTOON_UNTRANSLATED]: "untranslated",
+};
 
 class LocalesResults extends LitElement {
   static properties = {
     localesReport: { type: Object },
+    shippedLocales: { type: Array },
+    // The Pontoon status of the untranslated strings of each locale, see
+    // pontoonStringStatuses()
+    pontoonStatuses: { type: Object },
+    localeRules: { type: Object },
     ftlComparison: { type: Object },
     betaStartDate: { type: String },
     releaseStartDate: { type: String },
@@ -16,96 +36,143 @@ class LocalesResults extends LitElement {
   constructor() {
     super();
     this.localesReport = null;
+    this.shippedLocales = null;
+    this.pontoonStatuses = null;
+    this.localeRules = null;
     this.ftlComparison = null;
   }
 
   #trainhoppingBlocked() {
-    return this.ftlComparison.status == "main-newer";
+    return ftlUpdateNeeded(this.ftlComparison);
   }
 
   #ftlComparison() {
     const NEWTAB_FTL_HISTORY = `https://github.com/mozilla-firefox/firefox/commits/${this.sha}/browser/locales/en-US/browser/newtab/newtab.ftl`
     return html`
       <div id="ftl-comparison">
-        ${this.ftlComparison.status == "main-newer"
-          ? html`<a href="${NEWTAB_FTL_HISTORY}" target="_blank">${this.ftlComparison.message}</a>. An engineer must run
+        ${this.#trainhoppingBlocked()
+          ? html`<a href="${NEWTAB_FTL_HISTORY}" target="_blank">${this.ftlComparison.messageDiff
+              ? "Main newtab.ftl has messages that the webext-glue copy doesn't"
+              : this.ftlComparison.message}</a>. An engineer must run
               <pre>./mach newtab update-locales</pre>
               and land the resulting change.`
           : "XPI newtab.ftl is new enough."}
+        ${this.#ftlMessageDiff()}
       </div>
     `;
   }
 
+  /**
+   * Lists the messages that differ between the main and the webext-glue
+   * newtab.ftl, which ./mach newtab update-locales would bring in.
+   */
+  #ftlMessageDiff() {
+    const diff = this.ftlComparison.messageDiff;
+    if (!diff) {
+      return null;
+    }
+
+    if (!diff.added.length && !diff.removed.length && !diff.changed.length) {
+      return html`<p>Both newtab.ftl files have the same messages.</p>`;
+    }
+
+    const sections = [
+      ["Added to the main newtab.ftl", diff.added],
+      ["Changed in the main newtab.ftl", diff.changed],
+      ["Removed from the main newtab.ftl", diff.removed],
+    ];
+    return sections.map(([title, ids]) => {
+      if (!ids.length) {
+        return null;
+      }
+      return html`
+        <details name="ftl-diff" class="ftl-diff">
+          <summary>${title}: ${ids.length}</summary>
+          <ol>
+            ${ids.map(id => html`<li>${id}</li>`)}
+          </ol>
+        </details>
+      `;
+    });
+  }
+
   #localesReport() {
-    let reportKeys = Object.keys(this.localesReport.locales);
-    let releaseStart = Temporal.PlainDate.from(this.releaseStartDate);
-    let betaStart = Temporal.PlainDate.from(this.betaStartDate);
-    let now = Temporal.Now.plainDateISO();
-    let betaFallbackThreshold = Temporal.Duration.from({ weeks: 3 });
+    let classified = classifyLocaleStrings(
+      this.localesReport,
+      this.betaStartDate,
+      this.releaseStartDate,
+      localeRuleOptions(this)
+    );
     return html`
-      ${reportKeys.map((key) => {
-        let missingOrPendingStrings =
-          this.localesReport.locales[key].missing?.[
-            "browser/newtab/newtab.ftl"
-          ];
-        if (missingOrPendingStrings) {
-          let missingStrings = [];
-          let pendingStrings = [];
-
-          for (let fluentKey of missingOrPendingStrings) {
-            let introducedDate = Temporal.PlainDate.from(
-              this.localesReport.message_dates[fluentKey]
-            );
-            if (
-              Temporal.PlainDate.compare(introducedDate, releaseStart) == -1 ||
-              (Temporal.PlainDate.compare(introducedDate, betaStart) &&
-                Temporal.Duration.compare(
-                  now.since(betaStart),
-                  betaFallbackThreshold,
-                  { relativeTo: now }
-                ) == 1)
-            ) {
-              missingStrings.push(fluentKey);
-            } else {
-              pendingStrings.push(fluentKey);
-            }
-          }
-
-          return html`
-            <details name="locale">
-              <summary>${key} - pending: ${pendingStrings.length}, missing: ${missingStrings.length}</summary>
-              <p>Pending strings</p>
-              <ol>
-                ${pendingStrings.map(fluentKey => {
-                  return this.#renderFluentKey(key, fluentKey);
-                })}
-              </ol>
-              <p>Missing strings</p>
-              <ol>
-                ${missingStrings.map(fluentKey => {
-                  return this.#renderFluentKey(key, fluentKey);
-                })}
-              </ol>
-            </details>
-          `;
-        } else {
-          return null;
-        }
+      <locales-dashboard
+        .localesReport=${this.localesReport}
+        .shippedLocales=${this.shippedLocales}
+        .localeRules=${this.localeRules}
+        .betaStartDate=${this.betaStartDate}
+        .releaseStartDate=${this.releaseStartDate}
+        .sha=${this.sha}
+      ></locales-dashboard>
+      <h2>Untranslated strings</h2>
+      ${[...classified].map(([key, { pendingStrings, missingStrings, shipped }]) => {
+        return html`
+          <details name="locale">
+            <summary>
+              ${key} - pending: ${pendingStrings.length}, missing: ${missingStrings.length}
+              ${shipped === false ? html`<span class="unshipped">(doesn't ship)</span>` : null}
+              ${this.#renderPontoonSummary(key)}
+            </summary>
+            <p>Pending strings</p>
+            <ol>
+              ${pendingStrings.map(fluentKey => {
+                return this.#renderFluentKey(key, fluentKey);
+              })}
+            </ol>
+            <p>Missing strings</p>
+            <ol>
+              ${missingStrings.map(fluentKey => {
+                return this.#renderFluentKey(key, fluentKey);
+              })}
+            </ol>
+          </details>
+        `;
       })}
     `;
   }
 
+  /**
+   * Counts the untranslated strings of a locale by Pontoon status, if the
+   * statuses are known.
+   * @param {string} localeKey - The locale
+   */
+  #renderPontoonSummary(localeKey) {
+    const statuses = this.pontoonStatuses?.[localeKey];
+    if (!statuses) {
+      return null;
+    }
+
+    const counts = Object.entries(PONTOON_STATUS_LABELS).map(([status, label]) => {
+      const count = Object.values(statuses).filter(value => value == status).length;
+      return count ? `${count} ${label}` : null;
+    }).filter(Boolean);
+    return html`<span class="pontoon-status">Pontoon: ${counts.join(", ")}</span>`;
+  }
+
   #renderFluentKey(localeKey, fluentKey) {
     const pontoonLink = `https://pontoon.mozilla.org/${localeKey}/firefox/browser/browser/newtab/newtab.ftl/?search=${fluentKey}&search_identifiers=true`;
+    const status = this.pontoonStatuses?.[localeKey]?.[fluentKey];
     return html`<li>
       <a href="${pontoonLink}" target="_blank"
         >${fluentKey}</a
       >
+      ${status ? html`<span class="pontoon-status ${status}">${PONTOON_STATUS_LABELS[status]}</span>` : null}
     </li>`;
   }
 
   render() {
-    if (!this.localesReport || !this.ftlComparison) {
+    // Either the FTL comparison or the locales report may have failed to
+    // load, in which case only the other one is shown. The locales report
+    // also needs the merge dates, which may not have arrived yet.
+    if (!this.localesReport && !this.ftlComparison) {
       return null;
     }
 
@@ -115,12 +182,17 @@ class LocalesResults extends LitElement {
     return html`
       <link rel="stylesheet" href="./styles/locales-results.css" />
       <h1>Locales report</h1>
-      <h2 class=${this.#trainhoppingBlocked ? "blocked" : "manual"}>
-        ${this.#trainhoppingBlocked
-          ? "Train-hopping might be blocked."
-          : "Manual analysis of translated strings required."}
-      </h2>
-      ${this.#ftlComparison()} ${this.#localesReport()}
+      ${this.ftlComparison ? html`
+        <h2 class=${this.#trainhoppingBlocked() ? "blocked" : "manual"}>
+          ${this.#trainhoppingBlocked()
+            ? "Train-hopping might be blocked."
+            : "Manual analysis of translated strings required."}
+        </h2>
+        ${this.#ftlComparison()}
+      ` : null}
+      ${this.localesReport && this.betaStartDate && this.releaseStartDate
+        ? this.#localesReport()
+        : null}
     `;
   }
 }
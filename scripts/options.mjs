@@ -0,0 +1,114 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+import { LitElement, html, css } from "/vendor/lit3/lit-all.min.js";
+import { getSettings, saveSettings } from "./settings.mjs";
+import {
+  UNSHIPPED_LOCALES_FLAG,
+  UNSHIPPED_LOCALES_EXCLUDE,
+} from "./readiness-rules.mjs";
+
+class StationOptions extends LitElement {
+  static properties = {
+    settings: { type: Object },
+    saved: { type: Boolean },
+  };
+
+  constructor() {
+    super();
+    this.settings = null;
+    this.saved = false;
+  }
+
+  async connectedCallback() {
+    super.connectedCallback();
+    this.settings = await getSettings();
+  }
+
+  /**
+   * Handles input changes for a settings field.
+   * @param {string} name - The name of the setting
+   * @param {Event} e - The input event
+   */
+  #onInput(name, e) {
+    this.settings = {
+      ...this.settings,
+      [name]: e.target.type == "number" ? e.target.valueAsNumber : e.target.value.trim(),
+    };
+    this.saved = false;
+  }
+
+  async #save(e) {
+    e.preventDefault();
+    this.settings = await saveSettings(this.settings);
+    this.saved = true;
+  }
+
+  render() {
+    if (!this.settings) {
+      return null;
+    }
+
+    return html`
+      <link rel="stylesheet" href="./styles/options.css" />
+      <h1>New Tab Train-hop Station Settings</h1>
+      <form @submit=${this.#save}>
+        <label for="github-token">GitHub personal access token</label>
+        <input
+          id="github-token"
+          type="password"
+          autocomplete="off"
+          .value=${this.settings.githubToken}
+          @input=${e => this.#onInput("githubToken", e)}
+        />
+        <p class="hint">
+          Used for all GitHub API requests. Without a token, GitHub only allows
+          60 requests per hour, which a few checks in a row will use up. The
+          token doesn't need any scopes, as it's only used to read public data.
+        </p>
+        <h2>Locale rules</h2>
+        <p class="hint">
+          An untranslated newtab.ftl string is missing if it was added before
+          the version on Release merged to Beta. Newer strings are pending,
+          as localizers still have time to translate them, until Beta has been
+          running for a while. The rules apply to checks made after they're
+          saved.
+        </p>
+        <label for="beta-fallback-weeks">Weeks into Beta after which every untranslated string is missing</label>
+        <input
+          id="beta-fallback-weeks"
+          type="number"
+          min="0"
+          max="8"
+          required
+          .value=${String(this.settings.betaFallbackWeeks)}
+          @input=${e => this.#onInput("betaFallbackWeeks", e)}
+        />
+        <label for="unshipped-locales">Locales that don't ship</label>
+        <select
+          id="unshipped-locales"
+          @change=${e => this.#onInput("unshippedLocales", e)}
+        >
+          <option
+            value=${UNSHIPPED_LOCALES_FLAG}
+            ?selected=${this.settings.unshippedLocales == UNSHIPPED_LOCALES_FLAG}
+          >Flag them separately</option>
+          <option
+            value=${UNSHIPPED_LOCALES_EXCLUDE}
+            ?selected=${this.settings.unshippedLocales == UNSHIPPED_LOCALES_EXCLUDE}
+          >Leave them out of the locales report</option>
+        </select>
+        <p class="hint">
+          Whether a locale ships on Beta and Release is taken from the
+          shipped-locales list at the revision being checked. Untranslated
+          strings of locales that don't ship never hold up a train-hop.
+        </p>
+        <button type="submit">Save</button>
+        ${this.saved ? html`<span class="saved">Saved</span>` : null}
+      </form>
+    `;
+  }
+}
+
+customElements.define("station-options", StationOptions);
@@ -0,0 +1,1324 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * The rules that decide whether a revision is ready to train-hop.
+ *
+ * Everything in here is side-effect free: the functions take the (raw or
+ * lightly transformed) Treeherder, GitHub, locales-report and Experimenter
+ * payloads and return structured results. This module is shared by the
+ * background script and the UI, and must not depend on either.
+ */
+
+// The nt-trainhop job group has jobs for each train a train-hop targets,
+// with a symbol made of this prefix and the name of the train, e.g.
+// "Mbc-beta" or "Mbc-esr140".
+export const TRAINHOP_JOB_SYMBOL_PREFIX = "Mbc-";
+
+export const JOB_STATE_PASSING = "passing";
+export const JOB_STATE_FAILING = "failing";
+export const JOB_STATE_UNKNOWN = "unknown";
+
+export const JOB_OUTCOME_PENDING = "pending";
+export const JOB_OUTCOME_PASSED = "passed";
+export const JOB_OUTCOME_FAILED = "failed";
+export const JOB_OUTCOME_INTERMITTENT = "intermittent";
+export const JOB_OUTCOME_INFRA = "infra";
+export const JOB_OUTCOME_CANCELLED = "cancelled";
+export const JOB_OUTCOMES = [
+  JOB_OUTCOME_PASSED,
+  JOB_OUTCOME_FAILED,
+  JOB_OUTCOME_INTERMITTENT,
+  JOB_OUTCOME_INFRA,
+  JOB_OUTCOME_CANCELLED,
+  JOB_OUTCOME_PENDING,
+];
+
+// Treeherder failure classification IDs
+export const FAILURE_CLASSIFICATIONS = {
+  1: "not classified",
+  2: "fixed by commit",
+  3: "expected fail",
+  4: "intermittent",
+  5: "infra",
+  6: "new failure not classified",
+  7: "autoclassified intermittent",
+  8: "intermittent needs bugid",
+};
+const INTERMITTENT_CLASSIFICATIONS = [4, 7, 8];
+const CLASSIFICATION_INFRA = 5;
+
+export const PUSH_STATE_GREEN = "green";
+export const PUSH_STATE_YELLOW = "yellow";
+export const PUSH_STATE_RED = "red";
+export const PUSH_STATE_NONE = "none";
+
+export const FTL_STATUS_IN_SYNC = "in-sync";
+export const FTL_STATUS_MAIN_NEWER = "main-newer";
+export const FTL_STATUS_WEBEXT_NEWER = "webext-newer";
+
+export const VERDICT_READY = "ready";
+export const VERDICT_BLOCKED = "blocked";
+export const VERDICT_REVIEW = "review";
+
+export const LEVEL_BLOCKER = "blocker";
+export const LEVEL_REVIEW = "review";
+export const LEVEL_INFO = "info";
+
+// The channels trains are shown in the order of. Channels that aren't in
+// here come after these.
+export const TRAIN_CHANNELS = ["nightly", "beta", "release", "esr"];
+
+// The trains assumed when a revision has no trainhop jobs to discover them
+// from, and for checks made before they were discovered
+export const DEFAULT_TRAINS = ["beta", "release"];
+
+// The locales localizers and l10n drivers prioritize for Firefox
+export const TIER_1_LOCALES = [
+  "de",
+  "en-CA",
+  "en-GB",
+  "es-ES",
+  "fr",
+  "it",
+  "ja",
+  "pl",
+  "pt-BR",
+  "ru",
+  "zh-CN",
+];
+
+// How locales that don't ship, according to the shipped-locales list of the
+// revision, are treated by the locale rules
+export const UNSHIPPED_LOCALES_FLAG = "flag";
+export const UNSHIPPED_LOCALES_EXCLUDE = "exclude";
+
+// The locale rules used unless the user changed them in the settings
+export const DEFAULT_LOCALE_RULES = {
+  // Once Beta has been running for longer than this, every untranslated
+  // string is missing.
+  betaFallbackWeeks: 3,
+  unshippedLocales: UNSHIPPED_LOCALES_FLAG,
+};
+
+// Where an untranslated string stands in Pontoon, see pontoonStringStatuses()
+export const PONTOON_AWAITING_EXPORT = "awaiting-export";
+export const PONTOON_NEEDS_REVIEW = "needs-review";
+export const PONTOON_UNTRANSLATED = "untranslated";
+
+const NEWTAB_FTL_PATH = "browser/newtab/newtab.ftl";
+
+const VERDICT_LABELS = {
+  [VERDICT_READY]: "Ready to train-hop",
+  [VERDICT_BLOCKED]: "Train-hop blocked",
+  [VERDICT_REVIEW]: "Needs manual review",
+};
+
+/**
+ * Transforms Treeherder jobs data from array format to object format.
+ * Maps job_property_names to corresponding indices in each result array.
+ * @param {Object} jobsData - The raw jobs data from Treeherder
+ * @returns {Array<Object>} Array of job objects with named properties
+ */
+export function transformJobsData(jobsData) {
+  if (!jobsData.results || !jobsData.job_property_names) {
+    return [];
+  }
+
+  const propertyNames = jobsData.job_property_names;
+
+  return jobsData.results.map(jobArray => {
+    const jobObject = {};
+
+    propertyNames.forEach((propertyName, index) => {
+      jobObject[propertyName] = jobArray[index];
+    });
+
+    return jobObject;
+  });
+}
+
+/**
+ * Works out what a single attempt of a trainhop job tells us, taking its
+ * Treeherder state, result and failure classification into account.
+ * @param {Object} trainhopJob - A job as returned by transformJobsData
+ * @returns {string} One of the JOB_OUTCOME_* constants
+ */
+export function jobOutcome(trainhopJob) {
+  if (trainhopJob.state != "completed") {
+    return JOB_OUTCOME_PENDING;
+  }
+
+  switch (trainhopJob.result) {
+    case "success":
+      return JOB_OUTCOME_PASSED;
+    case "testfailed":
+    case "busted":
+      if (INTERMITTENT_CLASSIFICATIONS.includes(trainhopJob.failure_classification_id)) {
+        return JOB_OUTCOME_INTERMITTENT;
+      }
+      if (trainhopJob.failure_classification_id == CLASSIFICATION_INFRA) {
+        return JOB_OUTCOME_INFRA;
+      }
+      return JOB_OUTCOME_FAILED;
+    case "exception":
+      return JOB_OUTCOME_INFRA;
+    case "usercancel":
+    case "superseded":
+      return JOB_OUTCOME_CANCELLED;
+    default:
+      // "retry" only shows up on an attempt that's been superseded by a new
+      // one that Treeherder hasn't told us about yet, and "unknown" is a job
+      // that hasn't reported a result.
+      return JOB_OUTCOME_PENDING;
+  }
+}
+
+/**
+ * Reads the name of a train, which is its channel, followed by the major
+ * version it's pinned to for channels like ESR that have several trains.
+ * @param {string} name - The name, e.g. "beta" or "esr140"
+ * @returns {{name: string, channel: string, majorVersion: string|null,
+ *   jobSymbol: string}} The train
+ */
+export function parseTrainName(name) {
+  let [, channel, majorVersion] = name.match(/^(.*?)(\d*)$/);
+  return {
+    name,
+    channel,
+    majorVersion: majorVersion || null,
+    jobSymbol: `${TRAINHOP_JOB_SYMBOL_PREFIX}${name}`,
+  };
+}
+
+/**
+ * Names a train for display, e.g. "Beta" or "ESR 140".
+ * @param {{channel: string, majorVersion: string|null}} train - The train,
+ *   see parseTrainName()
+ * @returns {string} The label
+ */
+export function trainLabel(train) {
+  let channel = train.channel == "esr"
+    ? "ESR"
+    : train.channel.charAt(0).toUpperCase() + train.channel.slice(1);
+  return train.majorVersion ? `${channel} ${train.majorVersion}` : channel;
+}
+
+/**
+ * Orders trains by channel, see TRAIN_CHANNELS, and the trains of a channel
+ * by major version, most recent first.
+ * @param {Object} a - A train, see parseTrainName()
+ * @param {Object} b - Another train
+ * @returns {number} Less than 0 if a comes first, more than 0 if b does
+ */
+export function compareTrains(a, b) {
+  const channelOrder = train => {
+    let index = TRAIN_CHANNELS.indexOf(train.channel);
+    return index == -1 ? TRAIN_CHANNELS.length : index;
+  };
+  return (
+    channelOrder(a) - channelOrder(b) ||
+    a.channel.localeCompare(b.channel) ||
+    Number(b.majorVersion) - Number(a.majorVersion)
+  );
+}
+
+/**
+ * Discovers the trains the trainhop jobs of a push target, from their job
+ * symbols. Jobs of the nt-trainhop group that don't target a train are
+ * ignored.
+ * @param {Array<Object>} trainhopJobs - Jobs as returned by transformJobsData
+ * @returns {Array<Object>} The trains, see parseTrainName(), in order
+ */
+export function discoverTrains(trainhopJobs) {
+  let names = new Set();
+  for (let trainhopJob of trainhopJobs) {
+    if (trainhopJob.job_type_symbol?.startsWith(TRAINHOP_JOB_SYMBOL_PREFIX)) {
+      names.add(trainhopJob.job_type_symbol.substring(TRAINHOP_JOB_SYMBOL_PREFIX.length));
+    }
+  }
+  return [...names].map(parseTrainName).sort(compareTrains);
+}
+
+/**
+ * Lists the channels of a revision's trains, falling back to those of
+ * DEFAULT_TRAINS when they aren't known.
+ * @param {Array<Object>|null} [trains] - The trains of the revision
+ * @returns {Array<string>} The channels, in order, without duplicates
+ */
+export function trainChannels(trains) {
+  if (!trains?.length) {
+    trains = DEFAULT_TRAINS.map(parseTrainName);
+  }
+  return [...new Set(trains.map(train => train.channel))];
+}
+
+/**
+ * Groups trainhop jobs by platform and job symbol, and groups retried jobs
+ * together with their original attempt. Attempts of the same task share a
+ * task ID and are ordered by their retry ID; the last one is the one that
+ * counts.
+ * @param {Array<Object>} trainhopJobs - Jobs as returned by transformJobsData
+ * @returns {Object<string, Object<string, Array<Object>>>} For each platform
+ *   key and job symbol, the tasks that ran, each as
+ *   {taskId, attempts, latest, outcome}
+ */
+export function groupJobs(trainhopJobs) {
+  let tasks = new Map();
+  for (let trainhopJob of trainhopJobs) {
+    const TASK_KEY = trainhopJob.task_id || `job-${trainhopJob.id}`;
+    let task = tasks.get(TASK_KEY) || {
+      taskId: trainhopJob.task_id,
+      platform: platformKey(trainhopJob),
+      jobSymbol: trainhopJob.job_type_symbol,
+      attempts: [],
+    };
+    task.attempts.push(trainhopJob);
+    tasks.set(TASK_KEY, task);
+  }
+
+  let grouped = {};
+  for (let { platform, jobSymbol, ...task } of tasks.values()) {
+    task.attempts.sort((a, b) => (a.retry_id || 0) - (b.retry_id || 0));
+    task.latest = task.attempts[task.attempts.length - 1];
+    task.outcome = jobOutcome(task.latest);
+
+    grouped[platform] ??= {};
+    grouped[platform][jobSymbol] ??= [];
+    grouped[platform][jobSymbol].push(task);
+  }
+  return grouped;
+}
+
+/**
+ * Whether a job attempt failed, whatever the failure was classified as.
+ * @param {Object} trainhopJob - A job as returned by transformJobsData
+ * @returns {boolean} True if the job failed
+ */
+export function isFailedJob(trainhopJob) {
+  return trainhopJob.result == "testfailed" || trainhopJob.result == "busted";
+}
+
+/**
+ * Extracts the failing test file from an error line of a job log, like
+ * "TEST-UNEXPECTED-FAIL | browser/components/newtab/test/browser/browser_foo.js | ...".
+ * @param {string} line - The error line
+ * @param {string} [pathEnd] - The test path Treeherder extracted, if any
+ * @returns {{line: string, test: string|null}} The line and its test file
+ */
+export function parseFailureLine(line, pathEnd) {
+  let test = pathEnd || null;
+  if (!test) {
+    let [status, path] = line.split(" | ");
+    if (status.startsWith("TEST-UNEXPECTED") && path) {
+      test = path.trim();
+    }
+  }
+  return { line, test };
+}
+
+/**
+ * Groups the failure lines of the jobs of a push by failing test file, across
+ * platforms, so that a test failing everywhere stands out.
+ * @param {Object} pushData - The push data from getPushData
+ * @returns {Array<{test: string, platforms: string[], jobSymbols: string[], lines: string[]}>}
+ *   The failing tests, the ones failing on the most platforms first
+ */
+export function groupFailingTests(pushData) {
+  let tests = new Map();
+  for (let trainhopJob of pushData.trainhopJobs) {
+    for (let { line, test } of pushData.failureLines?.[trainhopJob.id] || []) {
+      if (!test) {
+        continue;
+      }
+      let failingTest = tests.get(test) || {
+        test,
+        platforms: new Set(),
+        jobSymbols: new Set(),
+        lines: new Set(),
+      };
+      failingTest.platforms.add(platformKey(trainhopJob));
+      failingTest.jobSymbols.add(trainhopJob.job_type_symbol);
+      failingTest.lines.add(line);
+      tests.set(test, failingTest);
+    }
+  }
+
+  return [...tests.values()]
+    .map(failingTest => ({
+      test: failingTest.test,
+      platforms: [...failingTest.platforms].sort(),
+      jobSymbols: [...failingTest.jobSymbols].sort(),
+      lines: [...failingTest.lines],
+    }))
+    .sort((a, b) => b.platforms.length - a.platforms.length || a.test.localeCompare(b.test));
+}
+
+/**
+ * Counts the outcomes of a list of grouped tasks.
+ * @param {Array<Object>} tasks - Tasks as returned by groupJobs
+ * @returns {Object<string, number>} The number of tasks per JOB_OUTCOME_*
+ */
+export function countOutcomes(tasks) {
+  let counts = Object.fromEntries(JOB_OUTCOMES.map(outcome => [outcome, 0]));
+  for (let task of tasks) {
+    counts[task.outcome]++;
+  }
+  return counts;
+}
+
+/**
+ * Produces a summary on whether or not it looks like our CI jobs are passing.
+ *
+ * Retried jobs only count once, with the outcome of their latest attempt.
+ *
+ * The rule here is that if there is at least one passing task for a job type
+ * on a platform, then that job type is in the "passing" (green) state.
+ *
+ * If there are 2 or more genuine failures for a job type on a platform, and
+ * no other tasks of that type are still outstanding, then that job type is
+ * in the "failing" (red) state. Failures classified as intermittent or as
+ * infrastructure problems aren't genuine failures.
+ *
+ * Anything else (pending tasks, a single failure, intermittents, exceptions,
+ * cancelled tasks, etc.) puts the job type in the "unknown" (yellow) state.
+ *
+ * Every platform gets a state for the job of each train the push has jobs
+ * for, see discoverTrains().
+ *
+ * @param {Array<Object>} trainhopJobs - Jobs as returned by transformJobsData
+ * @returns {Object<string, Object<string, string>>} The job state per job
+ *   symbol, keyed on "platform (platform_option)"
+ */
+export function summarizeJobs(trainhopJobs) {
+  let grouped = groupJobs(trainhopJobs);
+  let trains = discoverTrains(trainhopJobs);
+  let summary = {};
+
+  for (let [platformKey, jobSymbols] of Object.entries(grouped)) {
+    summary[platformKey] = {};
+
+    for (let { jobSymbol } of trains) {
+      let counts = countOutcomes(jobSymbols[jobSymbol] || []);
+      if (counts[JOB_OUTCOME_PASSED]) {
+        summary[platformKey][jobSymbol] = JOB_STATE_PASSING;
+      } else if (counts[JOB_OUTCOME_FAILED] > 1 && !counts[JOB_OUTCOME_PENDING]) {
+        summary[platformKey][jobSymbol] = JOB_STATE_FAILING;
+      } else {
+        summary[platformKey][jobSymbol] = JOB_STATE_UNKNOWN;
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Returns the key that jobs are grouped under in the jobs summary.
+ * @param {Object} trainhopJob - A job as returned by transformJobsData
+ * @returns {string} The platform key
+ */
+export function platformKey(trainhopJob) {
+  return `${trainhopJob.platform} (${trainhopJob.platform_option})`;
+}
+
+/**
+ * Compares the last modified dates of the main and webext-glue newtab.ftl files.
+ * @param {Object} newtabFtlInfo - Main newtab.ftl file info
+ * @param {Object} webextGlueFtlInfo - Webext-glue newtab.ftl file info
+ * @returns {Object} Comparison result with dates and sync status
+ */
+export function compareNewtabFtlFileInfos(newtabFtlInfo, webextGlueFtlInfo) {
+  const mainLastModified = new Date(newtabFtlInfo.lastModifiedDate);
+  const webextLastModified = new Date(webextGlueFtlInfo.lastModifiedDate);
+
+  const timeDiff = mainLastModified.getTime() - webextLastModified.getTime();
+  const daysDiff = Math.round(timeDiff / (1000 * 60 * 60 * 24));
+
+  let status = FTL_STATUS_IN_SYNC;
+  let message = "Files are in sync";
+
+  if (timeDiff > 0) {
+    status = FTL_STATUS_MAIN_NEWER;
+    message = `Main newtab.ftl is ${Math.abs(daysDiff)} day(s) newer than webext-glue version`;
+  } else if (timeDiff < 0) {
+    status = FTL_STATUS_WEBEXT_NEWER;
+    message = `Webext-glue newtab.ftl is ${Math.abs(daysDiff)} day(s) newer than main version`;
+  }
+
+  return {
+    status,
+    message,
+    daysDiff
+  };
+}
+
+/**
+ * Parses the messages and terms of a Fluent file. Only as much of the syntax
+ * is understood as it takes to tell entries apart: an entry starts with its
+ * ID at the start of a line, and goes on over the indented lines after it.
+ * Comments aren't part of any entry.
+ * @param {string} text - The contents of the Fluent file
+ * @returns {Map<string, string>} The source of each entry, with the
+ *   indentation of each line removed, keyed on ID. The IDs of terms start
+ *   with "-".
+ */
+export function parseFluentMessages(text) {
+  let messages = new Map();
+  let id = null;
+  let lines = [];
+  let finishEntry = () => {
+    if (id) {
+      messages.set(id, lines.join("\n").trim());
+    }
+    id = null;
+  };
+
+  for (let line of text.split(/\r?\n/)) {
+    let entryStart = line.match(/^(-?[a-zA-Z][\w-]*)\s*=(.*)$/);
+    if (entryStart) {
+      finishEntry();
+      id = entryStart[1];
+      lines = [entryStart[2].trim()];
+    } else if (id && (!line.trim() || /^\s/.test(line))) {
+      lines.push(line.trim());
+    } else {
+      finishEntry();
+    }
+  }
+  finishEntry();
+
+  return messages;
+}
+
+/**
+ * Compares the messages of the main newtab.ftl with those of the webext-glue
+ * copy that ships in the XPI. ./mach newtab update-locales copies the main
+ * file over the webext-glue one, so the differences are what it would bring
+ * in.
+ * @param {string} mainFtl - The contents of the main newtab.ftl
+ * @param {string} webextGlueFtl - The contents of the webext-glue newtab.ftl
+ * @returns {{added: string[], removed: string[], changed: string[]}} The IDs
+ *   of the messages only in the main file, only in the webext-glue file, and
+ *   in both but different
+ */
+export function diffFluentMessages(mainFtl, webextGlueFtl) {
+  let mainMessages = parseFluentMessages(mainFtl);
+  let webextGlueMessages = parseFluentMessages(webextGlueFtl);
+
+  let added = [];
+  let changed = [];
+  for (let [id, source] of mainMessages) {
+    if (!webextGlueMessages.has(id)) {
+      added.push(id);
+    } else if (webextGlueMessages.get(id) != source) {
+      changed.push(id);
+    }
+  }
+  let removed = [...webextGlueMessages.keys()].filter(id => !mainMessages.has(id));
+
+  return { added, removed, changed };
+}
+
+/**
+ * Decides whether ./mach newtab update-locales needs to be run before
+ * train-hopping: if the main newtab.ftl has messages that the webext-glue
+ * copy is missing or has an older version of. Messages that were only
+ * removed from the main file don't hurt. Without the message diff, e.g. for
+ * checks made before there was one, this falls back to comparing when the
+ * files were last modified.
+ * @param {Object} ftlComparison - The newtab.ftl comparison of a revision
+ * @returns {boolean} Whether the webext-glue newtab.ftl needs updating
+ */
+export function ftlUpdateNeeded(ftlComparison) {
+  let diff = ftlComparison.messageDiff;
+  if (!diff) {
+    return ftlComparison.status == FTL_STATUS_MAIN_NEWER;
+  }
+  return diff.added.length > 0 || diff.changed.length > 0;
+}
+
+/**
+ * Splits the untranslated newtab.ftl strings of each locale into "missing"
+ * and "pending" strings.
+ *
+ * A string is "missing" if it was introduced before the version currently on
+ * Release merged to Beta, or if it was introduced before the version
+ * currently on Beta merged, and Beta has been running for longer than the
+ * fallback threshold. Otherwise, the string is "pending", as localizers still
+ * have time to translate it. Strings introduced after Beta started are always
+ * pending, as they ride the next train.
+ *
+ * If the shipped locales are known, locales that don't ship are either left
+ * out or flagged as not shipping, depending on the rules.
+ *
+ * @param {Object} localesReport - The parsed locales-report.json
+ * @param {string} betaStartDate - The date the current Beta version started (YYYY-MM-DD)
+ * @param {string} releaseStartDate - The date the current Release version started Beta (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {Object} [options.rules] - The locale rules, see DEFAULT_LOCALE_RULES
+ * @param {string[]|null} [options.shippedLocales] - The locales Firefox ships
+ *   in, or null if they aren't known
+ * @param {Temporal.PlainDate} [now] - The date to evaluate the rule at
+ * @returns {Map<string, {pendingStrings: string[], missingStrings: string[], shipped: boolean|null}>}
+ *   The classified strings, keyed on locale, and whether the locale ships,
+ *   if that's known. Locales without any untranslated strings are omitted.
+ */
+export function classifyLocaleStrings(
+  localesReport,
+  betaStartDate,
+  releaseStartDate,
+  { rules = DEFAULT_LOCALE_RULES, shippedLocales = null } = {},
+  now = Temporal.Now.plainDateISO()
+) {
+  let releaseStart = Temporal.PlainDate.from(releaseStartDate);
+  let betaStart = Temporal.PlainDate.from(betaStartDate);
+  let betaFallbackThreshold = Temporal.Duration.from({ weeks: rules.betaFallbackWeeks });
+  let classified = new Map();
+
+  for (let key of Object.keys(localesReport.locales)) {
+    let missingOrPendingStrings =
+      localesReport.locales[key].missing?.[NEWTAB_FTL_PATH];
+    if (!missingOrPendingStrings) {
+      continue;
+    }
+
+    let shipped = shippedLocales ? shippedLocales.includes(key) : null;
+    if (shipped === false && rules.unshippedLocales == UNSHIPPED_LOCALES_EXCLUDE) {
+      continue;
+    }
+
+    let missingStrings = [];
+    let pendingStrings = [];
+
+    for (let fluentKey of missingOrPendingStrings) {
+      let introducedDate = Temporal.PlainDate.from(
+        localesReport.message_dates[fluentKey]
+      );
+      if (
+        Temporal.PlainDate.compare(introducedDate, releaseStart) < 0 ||
+        (Temporal.PlainDate.compare(introducedDate, betaStart) < 0 &&
+          Temporal.Duration.compare(
+            now.since(betaStart),
+            betaFallbackThreshold,
+            { relativeTo: now }
+          ) > 0)
+      ) {
+        missingStrings.push(fluentKey);
+      } else {
+        pendingStrings.push(fluentKey);
+      }
+    }
+
+    classified.set(key, { pendingStrings, missingStrings, shipped });
+  }
+
+  return classified;
+}
+
+/**
+ * Lists the untranslated newtab.ftl strings of each locale of the locales
+ * report, pending or missing alike.
+ * @param {Object} localesReport - The parsed locales-report.json
+ * @returns {Object<string, string[]>} The Fluent IDs of the strings, keyed on
+ *   locale. Locales without any untranslated strings are omitted.
+ */
+export function untranslatedStrings(localesReport) {
+  return Object.fromEntries(Object.entries(localesReport.locales)
+    .map(([locale, { missing }]) => [locale, missing?.[NEWTAB_FTL_PATH] ?? []])
+    .filter(([, fluentKeys]) => fluentKeys.length));
+}
+
+/**
+ * Reads a page of the strings Pontoon's translate view lists for a locale,
+ * from its response to a POST to /get-entities/ with the project, locale,
+ * paths, status and page as form fields:
+ *
+ *   {"entities": [
+ *     {"pk": 1234, "key": "newtab-search-box-input",
+ *      "path": "browser/browser/newtab/newtab.ftl", "original": "...",
+ *      "translation": [...], ...}
+ *   ], "has_next": false, "stats": {...}}
+ *
+ * The key of a Fluent string is its message ID.
+ * @param {Object} response - The parsed response
+ * @returns {{keys: string[], hasNext: boolean}} The Fluent IDs of the strings
+ *   on the page, and whether there's another page
+ * @throws {SyntaxError} If the response doesn't list any strings
+ */
+export function parsePontoonEntities(response) {
+  if (!Array.isArray(response?.entities)) {
+    throw new SyntaxError("Pontoon's response has no strings");
+  }
+
+  return {
+    keys: response.entities.map(entity => entity.key),
+    hasNext: Boolean(response.has_next),
+  };
+}
+
+/**
+ * Works out where the untranslated strings of a locale stand in Pontoon. A
+ * string that has a translation in Pontoon hasn't made it into the
+ * repository yet, and is awaiting export. One that only has suggestions is
+ * waiting for a reviewer. Anything else still needs translating.
+ * @param {string[]} fluentKeys - The untranslated strings of the locale
+ * @param {string[]} translatedKeys - The strings with an approved or
+ *   pretranslated translation in Pontoon
+ * @param {string[]} unreviewedKeys - The strings with unreviewed suggestions
+ *   in Pontoon
+ * @returns {Object<string, string>} The PONTOON_* status of each string,
+ *   keyed on Fluent ID
+ */
+export function pontoonStringStatuses(fluentKeys, translatedKeys, unreviewedKeys) {
+  return Object.fromEntries(fluentKeys.map(fluentKey => {
+    let status = PONTOON_UNTRANSLATED;
+    if (translatedKeys.includes(fluentKey)) {
+      status = PONTOON_AWAITING_EXPORT;
+    } else if (unreviewedKeys.includes(fluentKey)) {
+      status = PONTOON_NEEDS_REVIEW;
+    }
+    return [fluentKey, status];
+  }));
+}
+
+/**
+ * Returns the options classifyLocaleStrings needs from the data of a
+ * revision: the locale rules the revision was checked with, and the locales
+ * that ship at that revision. Data from before the rules were configurable
+ * is evaluated with the default rules.
+ * @param {Object} revisionData - The data returned by GET_REVISION_DATA, or
+ *   anything else with its localeRules and shippedLocales
+ * @returns {{rules: Object, shippedLocales: string[]|null}}
+ */
+export function localeRuleOptions(revisionData) {
+  return {
+    rules: { ...DEFAULT_LOCALE_RULES, ...revisionData.localeRules },
+    shippedLocales: revisionData.shippedLocales ?? null,
+  };
+}
+
+/**
+ * Parses the browser/locales/shipped-locales file, which lists the locales
+ * Firefox ships in, one per line. A locale may be followed by the platforms
+ * it's limited to.
+ * @param {string} text - The contents of the file
+ * @returns {string[]} The shipped locales
+ */
+export function parseShippedLocales(text) {
+  return text
+    .split("\n")
+    .map(line => line.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+/**
+ * Summarizes how much of newtab.ftl each locale in the locales report has
+ * translated. The strings of newtab.ftl are the ones the report has dates
+ * for, so a locale's completion is the share of those that it doesn't
+ * have pending or missing.
+ * @param {Object} localesReport - The parsed locales-report.json
+ * @param {Map} classifiedStrings - The result of classifyLocaleStrings
+ * @param {string[]|null} shippedLocales - The locales Firefox ships in, or
+ *   null if they aren't known
+ * @returns {Array<{locale: string, pending: number, missing: number,
+ *   completion: number, shipped: boolean|null, tier1: boolean}>} A summary
+ *   of each locale, sorted by locale. The completion is between 0 and 1.
+ */
+export function summarizeLocales(localesReport, classifiedStrings, shippedLocales) {
+  let stringCount = Object.keys(localesReport.message_dates).length;
+  return Object.keys(localesReport.locales).sort().map(locale => {
+    let { pendingStrings = [], missingStrings = [] } = classifiedStrings.get(locale) ?? {};
+    let untranslated = pendingStrings.length + missingStrings.length;
+    return {
+      locale,
+      pending: pendingStrings.length,
+      missing: missingStrings.length,
+      completion: stringCount ? Math.max(0, stringCount - untranslated) / stringCount : 1,
+      shipped: shippedLocales ? shippedLocales.includes(locale) : null,
+      tier1: TIER_1_LOCALES.includes(locale),
+    };
+  });
+}
+
+/**
+ * Returns the active rollouts that target a channel.
+ * @param {Array<Object>} rollouts - The rollouts from getRolloutData
+ * @param {string} channel - The channel, e.g. "release"
+ * @returns {Array<Object>} The matching rollouts
+ */
+export function rolloutsForChannel(rollouts, channel) {
+  return rollouts.filter(rollout => {
+    return rollout.channels.includes(channel);
+  });
+}
+
+/**
+ * Returns the percentage of the population a rollout is enrolling.
+ * @param {Object} rollout - A rollout from getRolloutData
+ * @returns {number} The percentage, between 0 and 100
+ */
+export function rolloutPercentage(rollout) {
+  return rollout.bucketConfig.count / rollout.bucketConfig.total * 100;
+}
+
+/**
+ * Finds the Firefox versions a Nimbus targeting expression is limited to.
+ * Experimenter writes the minimum and maximum versions into the expression
+ * as version|versionCompare('<version>') comparisons.
+ * @param {string} targeting - The JEXL targeting expression
+ * @returns {{minVersion: string|null, maxVersion: string|null}} The versions,
+ *   or null for a bound the expression doesn't have
+ */
+export function targetingVersions(targeting) {
+  let minVersion = null;
+  let maxVersion = null;
+  let comparisons = (targeting || "").matchAll(
+    /version\|versionCompare\(['"]([^'"]+)['"]\)\s*(>=|<=|<|>)\s*0/g
+  );
+  for (let [, version, operator] of comparisons) {
+    version = version.replace(/\.!$/, "").replace(/\.\*$/, "");
+    if (operator.startsWith(">")) {
+      minVersion = version;
+    } else {
+      maxVersion = version;
+    }
+  }
+  return { minVersion, maxVersion };
+}
+
+/**
+ * Decides whether the XPI a rollout hops to was built from the newtab code of
+ * a revision, going by the version of the newtab manifest. The XPI version may
+ * have a build number appended to it.
+ * @param {Object} rollout - A rollout from getRolloutData
+ * @param {string|null} newtabAddonVersion - The version in the newtab
+ *   manifest.json of the revision
+ * @returns {boolean|null} Whether the versions match, or null if either
+ *   version isn't known
+ */
+export function xpiVersionMatches(rollout, newtabAddonVersion) {
+  if (!rollout.addonVersion || !newtabAddonVersion) {
+    return null;
+  }
+  return rollout.addonVersion == newtabAddonVersion ||
+    rollout.addonVersion.startsWith(`${newtabAddonVersion}.`);
+}
+
+/**
+ * Produces the findings for the trainhop jobs of a push.
+ * @param {Object} pushData - The push data from getPushData
+ * @returns {Array<Object>} The findings
+ */
+export function jobsFindings(pushData) {
+  let platforms = Object.keys(pushData.summary);
+  if (!platforms.length) {
+    return [{
+      level: LEVEL_REVIEW,
+      source: "jobs",
+      message: "No nt-trainhop jobs were found for this push.",
+    }];
+  }
+
+  let findings = [];
+  for (let platform of platforms) {
+    for (let [jobSymbol, state] of Object.entries(pushData.summary[platform])) {
+      if (state == JOB_STATE_FAILING) {
+        findings.push({
+          level: LEVEL_BLOCKER,
+          source: "jobs",
+          message: `${jobSymbol} jobs are failing on ${platform}.`,
+        });
+      } else if (state != JOB_STATE_PASSING) {
+        findings.push({
+          level: LEVEL_REVIEW,
+          source: "jobs",
+          message: `${jobSymbol} jobs are pending or inconclusive on ${platform}.`,
+        });
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * Produces the findings for the newtab.ftl comparison.
+ * @param {Object} ftlComparison - The newtab.ftl comparison of a revision,
+ *   see ftlUpdateNeeded
+ * @returns {Array<Object>} The findings
+ */
+export function ftlFindings(ftlComparison) {
+  let diff = ftlComparison.messageDiff;
+  if (ftlUpdateNeeded(ftlComparison)) {
+    let message = diff
+      ? `Main newtab.ftl has ${diff.added.length} new and ${diff.changed.length} changed message(s) that the webext-glue copy lacks`
+      : ftlComparison.message;
+    return [{
+      level: LEVEL_BLOCKER,
+      source: "ftl",
+      message: `${message}. ./mach newtab update-locales must be run and landed.`,
+    }];
+  }
+
+  if (diff?.removed.length) {
+    return [{
+      level: LEVEL_INFO,
+      source: "ftl",
+      message: `The webext-glue newtab.ftl still has ${diff.removed.length} message(s) that were removed from the main newtab.ftl.`,
+    }];
+  }
+  if (diff && ftlComparison.status == FTL_STATUS_MAIN_NEWER) {
+    return [{
+      level: LEVEL_INFO,
+      source: "ftl",
+      message: `${ftlComparison.message}, but its messages are the same as the webext-glue copy's.`,
+    }];
+  }
+  return [];
+}
+
+/**
+ * Produces the findings for the untranslated strings of each locale. Locales
+ * flagged as not shipping are only mentioned, as their strings don't hold up
+ * a train-hop.
+ * @param {Map} classifiedStrings - The result of classifyLocaleStrings
+ * @returns {Array<Object>} The findings
+ */
+export function localesFindings(classifiedStrings) {
+  let missing = [];
+  let unshipped = [];
+  let pendingCount = 0;
+  for (let [locale, { pendingStrings, missingStrings, shipped }] of classifiedStrings) {
+    if (shipped === false) {
+      unshipped.push(locale);
+      continue;
+    }
+    if (missingStrings.length) {
+      missing.push(`${locale} (${missingStrings.length})`);
+    }
+    pendingCount += pendingStrings.length;
+  }
+
+  let findings = [];
+  if (missing.length) {
+    findings.push({
+      level: LEVEL_REVIEW,
+      source: "locales",
+      message: `${missing.length} locale(s) have missing newtab.ftl strings: ${missing.join(", ")}.`,
+    });
+  }
+  if (pendingCount) {
+    findings.push({
+      level: LEVEL_INFO,
+      source: "locales",
+      message: `${pendingCount} newtab.ftl string(s) are still pending translation.`,
+    });
+  }
+  if (unshipped.length) {
+    findings.push({
+      level: LEVEL_INFO,
+      source: "locales",
+      message: `${unshipped.length} locale(s) that don't ship have untranslated newtab.ftl strings: ${unshipped.join(", ")}.`,
+    });
+  }
+  return findings;
+}
+
+/**
+ * Compares two Firefox versions, e.g. "146.0" and "146.*". Pre-release
+ * suffixes like "a1" are ignored, and "*" is greater than any number.
+ * @param {string} a - A version
+ * @param {string} b - Another version
+ * @returns {number} Less than 0 if a is older, 0 if they're the same, and
+ *   more than 0 if a is newer
+ */
+export function compareFirefoxVersions(a, b) {
+  let parse = version => version.split(".").map(part => {
+    return part == "*" ? Infinity : parseInt(part, 10) || 0;
+  });
+  let aParts = parse(a);
+  let bParts = parse(b);
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    let difference = (aParts[i] ?? 0) - (bParts[i] ?? 0);
+    if (difference) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Works out why a train-hop XPI can't be installed on a version of Firefox,
+ * going by the strict_min_version and strict_max_version of its manifest.
+ * @param {Object} xpiInfo - The XPI, see getXpiInfo
+ * @param {string} version - The Firefox version, e.g. "146.0"
+ * @returns {string|null} Why the XPI is incompatible, or null if it isn't
+ */
+export function xpiIncompatibility(xpiInfo, version) {
+  if (xpiInfo.strictMinVersion && compareFirefoxVersions(version, xpiInfo.strictMinVersion) < 0) {
+    return `it needs Firefox ${xpiInfo.strictMinVersion} or later`;
+  }
+  if (xpiInfo.strictMaxVersion && compareFirefoxVersions(version, xpiInfo.strictMaxVersion) > 0) {
+    return `it needs Firefox ${xpiInfo.strictMaxVersion} or earlier`;
+  }
+  return null;
+}
+
+/**
+ * Produces the findings for the train-hop XPI of a revision: whether it can
+ * be installed on the versions currently on each train.
+ * @param {Object} xpiInfo - The XPI, see getXpiInfo. Its channelVersions are
+ *   the Firefox versions of the trains, keyed on train name.
+ * @returns {Array<Object>} The findings
+ */
+export function xpiFindings(xpiInfo) {
+  let findings = [];
+  let compatibleChannels = [];
+  for (let [channel, version] of Object.entries(xpiInfo.channelVersions)) {
+    if (!version) {
+      findings.push({
+        level: LEVEL_REVIEW,
+        source: "xpi",
+        message: `The Firefox version on ${channel} is unknown, so the XPI couldn't be checked against it.`,
+      });
+      continue;
+    }
+
+    let incompatibility = xpiIncompatibility(xpiInfo, version);
+    if (incompatibility) {
+      findings.push({
+        level: LEVEL_BLOCKER,
+        source: "xpi",
+        message: `XPI ${xpiInfo.version} can't be installed on ${channel} (Firefox ${version}), as ${incompatibility}.`,
+      });
+    } else {
+      compatibleChannels.push(`${channel} (Firefox ${version})`);
+    }
+  }
+
+  if (compatibleChannels.length) {
+    findings.push({
+      level: LEVEL_INFO,
+      source: "xpi",
+      message: `XPI ${xpiInfo.version} can be installed on ${compatibleChannels.join(" and ")}.`,
+    });
+  }
+  return findings;
+}
+
+/**
+ * Produces the findings for the active rollouts. More than one rollout
+ * targeting the same channel needs to be looked at.
+ * @param {Array<Object>} rollouts - The rollouts from getRolloutData
+ * @param {Array<string>} [channels] - The channels of the trains, see
+ *   trainChannels()
+ * @returns {Array<Object>} The findings
+ */
+export function rolloutsFindings(rollouts, channels = trainChannels()) {
+  let findings = [];
+  for (let channel of channels) {
+    let matchingRollouts = rolloutsForChannel(rollouts, channel);
+
+    if (matchingRollouts.length > 1) {
+      findings.push({
+        level: LEVEL_REVIEW,
+        source: "rollouts",
+        message: `${matchingRollouts.length} active rollouts target ${channel}: ${matchingRollouts.map(rollout => rollout.slug).join(", ")}.`,
+      });
+    } else if (matchingRollouts.length == 1) {
+      let [rollout] = matchingRollouts;
+      findings.push({
+        level: LEVEL_INFO,
+        source: "rollouts",
+        message: `${rollout.slug} is active on ${channel} at ${rolloutPercentage(rollout)}%.`,
+      });
+    } else {
+      findings.push({
+        level: LEVEL_INFO,
+        source: "rollouts",
+        message: `No active rollout on ${channel}.`,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Produces the findings for the data sources that couldn't be fetched.
+ * @param {Object<string, {kind: string, message: string}>} errors - The
+ *   errors from GET_REVISION_DATA, keyed on source
+ * @returns {Array<Object>} The findings
+ */
+export function sourceErrorFindings(errors) {
+  return Object.entries(errors).map(([source, error]) => {
+    return {
+      level: LEVEL_REVIEW,
+      source,
+      message: `Couldn't be checked (${error.kind}): ${error.message}`,
+    };
+  });
+}
+
+/**
+ * Combines the jobs, FTL, locales, rollouts and XPI data for a revision into
+ * a single go/no-go verdict.
+ *
+ * Failing jobs, an outdated webext-glue newtab.ftl and an XPI that can't be
+ * installed on a channel block a train-hop. Pending or inconclusive jobs,
+ * missing locale strings, competing rollouts and a channel whose Firefox
+ * version is unknown require a human to take a look, as does any data source
+ * that couldn't be fetched. Everything else is informational.
+ *
+ * @param {Object} revisionData - The data returned by GET_REVISION_DATA
+ * @param {Temporal.PlainDate} [now] - The date to evaluate the locale rules at
+ * @returns {{verdict: string, label: string, reasons: Array<{level: string, source: string, message: string}>}}
+ */
+export function computeVerdict(revisionData, now = Temporal.Now.plainDateISO()) {
+  let reasons = [];
+  if (revisionData.pushData) {
+    reasons.push(...jobsFindings(revisionData.pushData));
+  }
+  if (revisionData.ftlComparison) {
+    reasons.push(...ftlFindings(revisionData.ftlComparison));
+  }
+  if (revisionData.localesReport) {
+    reasons.push(...localesFindings(classifyLocaleStrings(
+      revisionData.localesReport,
+      revisionData.betaStartDate,
+      revisionData.releaseStartDate,
+      localeRuleOptions(revisionData),
+      now
+    )));
+  }
+  if (revisionData.rolloutData) {
+    reasons.push(...rolloutsFindings(revisionData.rolloutData, trainChannels(revisionData.trains)));
+  }
+  if (revisionData.xpiInfo) {
+    reasons.push(...xpiFindings(revisionData.xpiInfo));
+  }
+  reasons.push(...sourceErrorFindings(revisionData.errors || {}));
+
+  let verdict = VERDICT_READY;
+  if (reasons.some(reason => reason.level == LEVEL_BLOCKER)) {
+    verdict = VERDICT_BLOCKED;
+  } else if (reasons.some(reason => reason.level == LEVEL_REVIEW)) {
+    verdict = VERDICT_REVIEW;
+  }
+
+  return {
+    verdict,
+    label: VERDICT_LABELS[verdict],
+    reasons,
+  };
+}
+
+/**
+ * Compares the data of two revisions, to help decide whether to train-hop a
+ * candidate revision instead of a baseline one (typically the revision that
+ * is currently shipping).
+ *
+ * Both revisions are evaluated against the candidate's Beta and Release
+ * dates and locale rules, so that only the changes between the revisions
+ * themselves show up.
+ *
+ * @param {Object} baselineData - The GET_REVISION_DATA data for the baseline
+ * @param {Object} candidateData - The GET_REVISION_DATA data for the candidate
+ * @param {Temporal.PlainDate} [now] - The date to evaluate the locale rules at
+ * @returns {{jobs: Array<Object>|null, locales: Array<Object>|null, ftl: Object|null}}
+ *   The platforms whose job states changed, the locales whose untranslated
+ *   strings changed, and the before/after FTL sync status. Each is null if
+ *   its data is missing for either revision.
+ */
+export function compareRevisionData(
+  baselineData,
+  candidateData,
+  now = Temporal.Now.plainDateISO()
+) {
+  let jobs = null;
+  if (baselineData.pushData && candidateData.pushData) {
+    jobs = diffJobSummaries(baselineData.pushData.summary, candidateData.pushData.summary);
+  }
+
+  let locales = null;
+  if (baselineData.localesReport && candidateData.localesReport) {
+    locales = diffClassifiedStrings(
+      classifyLocaleStrings(
+        baselineData.localesReport,
+        candidateData.betaStartDate,
+        candidateData.releaseStartDate,
+        {
+          ...localeRuleOptions(candidateData),
+          shippedLocales: baselineData.shippedLocales ?? null,
+        },
+        now
+      ),
+      classifyLocaleStrings(
+        candidateData.localesReport,
+        candidateData.betaStartDate,
+        candidateData.releaseStartDate,
+        localeRuleOptions(candidateData),
+        now
+      )
+    );
+  }
+
+  let ftl = null;
+  if (baselineData.ftlComparison && candidateData.ftlComparison) {
+    ftl = {
+      before: baselineData.ftlComparison,
+      after: candidateData.ftlComparison,
+      changed: baselineData.ftlComparison.status != candidateData.ftlComparison.status,
+    };
+  }
+
+  return { jobs, locales, ftl };
+}
+
+/**
+ * Lists the job states that differ between two job summaries.
+ * @param {Object} baselineSummary - The summary from summarizeJobs for the baseline
+ * @param {Object} candidateSummary - The summary from summarizeJobs for the candidate
+ * @returns {Array<{platform: string, jobSymbol: string, before: string|null, after: string|null}>}
+ *   The changes. A null state means the job didn't run on that revision.
+ */
+export function diffJobSummaries(baselineSummary, candidateSummary) {
+  let platforms = new Set([
+    ...Object.keys(baselineSummary),
+    ...Object.keys(candidateSummary),
+  ]);
+
+  let changes = [];
+  for (let platform of platforms) {
+    let before = baselineSummary[platform] || {};
+    let after = candidateSummary[platform] || {};
+    let jobSymbols = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (let jobSymbol of jobSymbols) {
+      if (before[jobSymbol] != after[jobSymbol]) {
+        changes.push({
+          platform,
+          jobSymbol,
+          before: before[jobSymbol] || null,
+          after: after[jobSymbol] || null,
+        });
+      }
+    }
+  }
+  return changes;
+}
+
+/**
+ * Lists, per locale, the Fluent keys that became missing and the ones that
+ * were resolved (no longer pending or missing) between two revisions.
+ * @param {Map} baselineStrings - The result of classifyLocaleStrings for the baseline
+ * @param {Map} candidateStrings - The result of classifyLocaleStrings for the candidate
+ * @returns {Array<{locale: string, newlyMissing: string[], resolved: string[]}>}
+ *   The locales with changes, sorted by locale
+ */
+export function diffClassifiedStrings(baselineStrings, candidateStrings) {
+  const EMPTY = { pendingStrings: [], missingStrings: [] };
+  let locales = new Set([...baselineStrings.keys(), ...candidateStrings.keys()]);
+
+  let changes = [];
+  for (let locale of [...locales].sort()) {
+    let before = baselineStrings.get(locale) || EMPTY;
+    let after = candidateStrings.get(locale) || EMPTY;
+
+    let missingBefore = new Set(before.missingStrings);
+    let untranslatedAfter = new Set([...after.pendingStrings, ...after.missingStrings]);
+
+    let newlyMissing = after.missingStrings.filter(fluentKey => !missingBefore.has(fluentKey));
+    let resolved = [...before.pendingStrings, ...before.missingStrings].filter(
+      fluentKey => !untranslatedAfter.has(fluentKey)
+    );
+
+    if (newlyMissing.length || resolved.length) {
+      changes.push({ locale, newlyMissing, resolved });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Rates the trainhop jobs of a push as a whole.
+ *
+ * A push is "green" when every job type on every platform is passing, "red"
+ * when any of them is failing, and "yellow" otherwise. A push without any
+ * trainhop jobs (yet) is "none".
+ *
+ * @param {Object} summary - The summary from summarizeJobs
+ * @returns {{state: string, passing: number, failing: number, total: number}}
+ */
+export function pushReadiness(summary) {
+  let states = Object.values(summary).flatMap(platform => Object.values(platform));
+  let passing = states.filter(state => state == JOB_STATE_PASSING).length;
+  let failing = states.filter(state => state == JOB_STATE_FAILING).length;
+
+  let state = PUSH_STATE_YELLOW;
+  if (!states.length) {
+    state = PUSH_STATE_NONE;
+  } else if (failing) {
+    state = PUSH_STATE_RED;
+  } else if (passing == states.length) {
+    state = PUSH_STATE_GREEN;
+  }
+
+  return { state, passing, failing, total: states.length };
+}
+
+/**
+ * Whether every trainhop job type on every platform has reached a final
+ * (passing or failing) state.
+ * @param {Object} summary - The summary from summarizeJobs
+ * @returns {boolean} True if no job type is pending or inconclusive
+ */
+export function isSummaryFinal(summary) {
+  let states = Object.values(summary).flatMap(platform => Object.values(platform));
+  return states.length > 0 && states.every(state => state != JOB_STATE_UNKNOWN);
+}
+
+/**
+ * Ranks train-hop candidate pushes by readiness. Green pushes come first,
+ * then yellow, red and pushes without trainhop jobs. Within a state, pushes
+ * with a higher share of passing jobs come first, then newer pushes.
+ *
+ * The newest green push is marked as the best candidate.
+ *
+ * @param {Array<{push: Object, summary: Object}>} candidates - The pushes
+ *   from Treeherder, along with their summary from summarizeJobs
+ * @returns {Array<{push: Object, summary: Object, readiness: Object, best: boolean}>}
+ *   The ranked candidates
+ */
+export function rankCandidates(candidates) {
+  const STATE_ORDER = [
+    PUSH_STATE_GREEN,
+    PUSH_STATE_YELLOW,
+    PUSH_STATE_RED,
+    PUSH_STATE_NONE,
+  ];
+  const passingShare = readiness => {
+    return readiness.total ? readiness.passing / readiness.total : 0;
+  };
+
+  let ranked = candidates.map(candidate => {
+    return {
+      ...candidate,
+      readiness: pushReadiness(candidate.summary),
+      best: false,
+    };
+  });
+
+  ranked.sort((a, b) => {
+    return (
+      STATE_ORDER.indexOf(a.readiness.state) - STATE_ORDER.indexOf(b.readiness.state) ||
+      passingShare(b.readiness) - passingShare(a.readiness) ||
+      b.push.push_timestamp - a.push.push_timestamp
+    );
+  });
+
+  if (ranked.length && ranked[0].readiness.state == PUSH_STATE_GREEN) {
+    ranked[0].best = true;
+  }
+
+  return ranked;
+}
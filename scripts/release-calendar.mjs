@@ -0,0 +1,201 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * The Firefox release calendar, from the schedules whattrainisitnow.com has
+ * for the versions on Nightly, Beta and Release: when they merge, freeze and
+ * ship, and where that leaves us in the current cycle. Shared between the
+ * background script, which builds the calendar, and the pages showing it.
+ */
+
+export const CALENDAR_CHANNELS = ["nightly", "beta", "release"];
+
+// Events closer than this many days are shown as upcoming
+export const UPCOMING_EVENT_DAYS = 14;
+
+// Events closer than this many days are warned about
+export const IMMINENT_EVENT_DAYS = 7;
+
+export const EVENT_SOFT_CODE_FREEZE = "soft-code-freeze";
+export const EVENT_STRING_FREEZE = "string-freeze";
+export const EVENT_MERGE_DAY = "merge-day";
+export const EVENT_RC = "rc";
+export const EVENT_RELEASE = "release";
+export const EVENT_DOT_RELEASE = "dot-release";
+
+/**
+ * Reads a date of a whattrainisitnow.com schedule, which may come with a
+ * time.
+ * @param {string} [value] - The date, e.g. "2025-11-10" or
+ *   "2025-11-10 00:00:00"
+ * @returns {string|null} The date as YYYY-MM-DD, or null if there's none
+ */
+function scheduleDate(value) {
+  if (!value) {
+    return null;
+  }
+  return Temporal.PlainDate.from(value.substring(0, 10)).toString();
+}
+
+/**
+ * Picks the dates that matter for train-hops out of the schedule of a
+ * version. Past versions have fewer dates than upcoming ones, so any of them
+ * may be null.
+ * @param {Object} schedule - The schedule, as returned by the
+ *   whattrainisitnow.com API
+ * @returns {{version: string, nightlyStart: string|null, softCodeFreeze: string|null,
+ *   stringFreeze: string|null, mergeDay: string|null, beta1: string|null,
+ *   rcGtb: string|null, rc: string|null, release: string|null,
+ *   dotRelease: string|null}} The version and its dates, as YYYY-MM-DD
+ */
+export function parseTrainSchedule(schedule) {
+  return {
+    version: schedule.version,
+    nightlyStart: scheduleDate(schedule.nightly_start),
+    softCodeFreeze: scheduleDate(schedule.soft_code_freeze),
+    stringFreeze: scheduleDate(schedule.string_freeze),
+    mergeDay: scheduleDate(schedule.merge_day),
+    beta1: scheduleDate(schedule.beta_1),
+    rcGtb: scheduleDate(schedule.rc_gtb),
+    rc: scheduleDate(schedule.rc),
+    release: scheduleDate(schedule.release),
+    dotRelease: scheduleDate(schedule.planned_dot_release),
+  };
+}
+
+/**
+ * Builds the release calendar from the schedules of the versions on each
+ * channel.
+ * @param {Object<string, Object|null>} schedules - The whattrainisitnow.com
+ *   schedule of each of CALENDAR_CHANNELS, or null for those that couldn't be
+ *   fetched
+ * @returns {Object<string, Object|null>} The parsed schedule of each channel,
+ *   see parseTrainSchedule()
+ */
+export function buildReleaseCalendar(schedules) {
+  return Object.fromEntries(CALENDAR_CHANNELS.map(channel => [
+    channel,
+    schedules[channel] ? parseTrainSchedule(schedules[channel]) : null,
+  ]));
+}
+
+/**
+ * Gets the Beta and Release merge dates the locale rules are evaluated
+ * against: when the versions now on Beta and Release merged to Beta.
+ *
+ * Past versions don't always have a merge day in their schedule. When the
+ * version on Release doesn't, it's guesstimated from the build date of its
+ * first beta, by finding the last prior Monday.
+ * @param {Object} calendar - The release calendar, see buildReleaseCalendar()
+ * @returns {{betaStartDate: string|null, releaseStartDate: string|null}} The
+ *   merge dates, or null for those that aren't known
+ */
+export function mergeDates(calendar) {
+  let betaStartDate = calendar.beta?.mergeDay ?? null;
+  let releaseStartDate = calendar.release?.mergeDay ?? null;
+
+  if (!releaseStartDate && calendar.release?.beta1) {
+    let beta1 = Temporal.PlainDate.from(calendar.release.beta1);
+    const delta = (beta1.dayOfWeek + 6) % 7; // 0 if Monday, …, 6 if Sunday
+    releaseStartDate = beta1.subtract({ days: delta }).toString();
+  }
+
+  return { betaStartDate, releaseStartDate };
+}
+
+/**
+ * Works out where we are in the current cycle, which runs from the last merge
+ * day, when the version now on Beta left Nightly, to the next one, when the
+ * version now on Nightly does.
+ * @param {Object} calendar - The release calendar, see buildReleaseCalendar()
+ * @param {Temporal.PlainDate} [now] - The date to place in the cycle
+ * @returns {{start: string, end: string, week: number, weeks: number,
+ *   daysLeft: number}|null} The cycle's first and last days, which week of
+ *   the cycle we're in out of how many, and how many days are left until the
+ *   next merge. Null if the merge days aren't known.
+ */
+export function cyclePosition(calendar, now = Temporal.Now.plainDateISO()) {
+  if (!calendar.beta?.mergeDay || !calendar.nightly?.mergeDay) {
+    return null;
+  }
+
+  let start = Temporal.PlainDate.from(calendar.beta.mergeDay);
+  let end = Temporal.PlainDate.from(calendar.nightly.mergeDay);
+  let elapsed = start.until(now, { largestUnit: "days" }).days;
+  let length = start.until(end, { largestUnit: "days" }).days;
+  let weeks = Math.ceil(length / 7);
+
+  return {
+    start: start.toString(),
+    end: end.toString(),
+    week: Math.min(Math.max(Math.floor(elapsed / 7) + 1, 1), weeks),
+    weeks,
+    daysLeft: Math.max(now.until(end, { largestUnit: "days" }).days, 0),
+  };
+}
+
+/**
+ * Lists the events of the calendar that affect train-hop timing, in
+ * chronological order.
+ * @param {Object} calendar - The release calendar, see buildReleaseCalendar()
+ * @returns {Array<{date: string, kind: string, channel: string, version: string,
+ *   label: string, note: string}>} The events with a known date
+ */
+export function calendarEvents(calendar) {
+  const { nightly, beta, release } = calendar;
+  let events = [];
+  function add(date, kind, channel, version, label, note) {
+    if (date) {
+      events.push({ date, kind, channel, version, label, note });
+    }
+  }
+
+  if (nightly) {
+    add(nightly.softCodeFreeze, EVENT_SOFT_CODE_FREEZE, "nightly", nightly.version,
+      `Soft code freeze of Firefox ${nightly.version}`,
+      "Risky changes to newtab should land before it, or wait to hop trains.");
+    add(nightly.stringFreeze, EVENT_STRING_FREEZE, "nightly", nightly.version,
+      `String freeze of Firefox ${nightly.version}`,
+      `New newtab.ftl strings after it won't be translated in time for Firefox ${nightly.version}.`);
+    add(nightly.mergeDay, EVENT_MERGE_DAY, "nightly", nightly.version,
+      `Firefox ${nightly.version} merges to Beta`,
+      "The versions on Beta and Release change: rollout targeting and XPI compatibility need to cover the new ones.");
+  }
+  if (beta) {
+    add(beta.rc, EVENT_RC, "beta", beta.version,
+      `Release candidate of Firefox ${beta.version}`,
+      "Train-hops to Beta now only reach the release candidate.");
+    add(beta.release, EVENT_RELEASE, "beta", beta.version,
+      `Firefox ${beta.version} ships to Release`,
+      "Rollouts targeting the version now on Release stop reaching most users.");
+  }
+  if (release) {
+    add(release.dotRelease, EVENT_DOT_RELEASE, "release", release.version,
+      `Planned dot release of Firefox ${release.version}`,
+      "A train-hop can ride along instead of being pushed on its own.");
+  }
+
+  return events.sort((a, b) => Temporal.PlainDate.compare(a.date, b.date));
+}
+
+/**
+ * Lists the events of the calendar coming up soon, to warn about.
+ * @param {Object} calendar - The release calendar, see buildReleaseCalendar()
+ * @param {Temporal.PlainDate} [now] - The date to look ahead from
+ * @param {number} [withinDays] - How many days to look ahead
+ * @returns {Array<Object>} The events from calendarEvents() happening today or
+ *   within withinDays days, each with how many days away it is as daysAway
+ */
+export function upcomingEvents(
+  calendar,
+  now = Temporal.Now.plainDateISO(),
+  withinDays = UPCOMING_EVENT_DAYS
+) {
+  return calendarEvents(calendar)
+    .map(event => ({
+      ...event,
+      daysAway: now.until(Temporal.PlainDate.from(event.date), { largestUnit: "days" }).days,
+    }))
+    .filter(event => event.daysAway >= 0 && event.daysAway <= withinDays);
+}
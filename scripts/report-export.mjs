@@ -0,0 +1,225 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Turns the results of a train-hop check into shareable reports.
+ *
+ * buildReport produces a stable, versioned JSON document, described by
+ * schemas/trainhop-report.v2.schema.json. The Markdown report is rendered
+ * from that document, so that both always agree. Bump REPORT_SCHEMA_VERSION
+ * (and add a new schema file) for any change that isn't purely additive.
+ */
+
+import {
+  computeVerdict,
+  classifyLocaleStrings,
+  localeRuleOptions,
+  countOutcomes,
+  rolloutPercentage,
+} from "./readiness-rules.mjs";
+
+export const REPORT_SCHEMA_VERSION = 2;
+export const REPORT_SCHEMA_ID = "newtab-trainhop-report";
+
+const VERDICT_EMOJI = {
+  ready: "\u{1F7E2}",
+  review: "\u{1F7E1}",
+  blocked: "\u{1F534}",
+};
+const JOB_STATE_EMOJI = {
+  passing: "\u{1F7E2}",
+  unknown: "\u{1F7E1}",
+  failing: "\u{1F534}",
+};
+
+/**
+ * Builds the JSON report for a completed check.
+ * @param {Object} results - The results of a check, as held by TrainCheckApp
+ * @param {Date} [generatedAt] - When the report is generated
+ * @returns {Object} The report document
+ */
+export function buildReport(results, generatedAt = new Date()) {
+  const { revisionData } = results;
+  const { pushData, ftlComparison, localesReport, rolloutData, xpiInfo } = revisionData;
+  const { verdict, label, reasons } = computeVerdict(revisionData);
+
+  // The data of sources that couldn't be fetched is reported as null, and
+  // why they couldn't be fetched under errors.
+  return {
+    schema: REPORT_SCHEMA_ID,
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    revision: {
+      gitSha: results.sha,
+      hgSha: results.hgSha,
+      pushId: pushData?.push.id ?? null,
+      pushTimestamp: pushData?.push.push_timestamp ?? null,
+    },
+    verdict: {
+      verdict,
+      label,
+      reasons,
+    },
+    errors: revisionData.errors || {},
+    jobs: pushData ? Object.entries(pushData.summary).map(([platform, states]) => {
+      return {
+        platform,
+        jobs: Object.entries(states).map(([jobSymbol, state]) => {
+          return {
+            jobSymbol,
+            state,
+            outcomes: countOutcomes(pushData.tasks?.[platform]?.[jobSymbol] || []),
+          };
+        }),
+      };
+    }) : null,
+    ftl: ftlComparison ? {
+      status: ftlComparison.status,
+      message: ftlComparison.message,
+      daysDiff: ftlComparison.daysDiff,
+      messages: ftlComparison.messageDiff ?? null,
+    } : null,
+    locales: {
+      betaStartDate: revisionData.betaStartDate,
+      releaseStartDate: revisionData.releaseStartDate,
+      locales: localesReport ? [...classifyLocaleStrings(
+        localesReport,
+        revisionData.betaStartDate,
+        revisionData.releaseStartDate,
+        localeRuleOptions(revisionData)
+      )].map(([locale, { pendingStrings, missingStrings, shipped }]) => {
+        return {
+          locale,
+          shipped,
+          pending: pendingStrings,
+          missing: missingStrings,
+        };
+      }) : null,
+    },
+    rollouts: rolloutData ? rolloutData.map(rollout => {
+      return {
+        slug: rollout.slug,
+        name: rollout.userFacingName,
+        channels: rollout.channels,
+        percentage: rolloutPercentage(rollout),
+      };
+    }) : null,
+    xpi: xpiInfo ? {
+      artifact: xpiInfo.url,
+      version: xpiInfo.version,
+      strictMinVersion: xpiInfo.strictMinVersion,
+      strictMaxVersion: xpiInfo.strictMaxVersion,
+      locales: xpiInfo.locales,
+      channelVersions: xpiInfo.channelVersions,
+    } : null,
+  };
+}
+
+/**
+ * Renders a JSON report as Markdown, for pasting into Slack or Bugzilla.
+ * @param {Object} report - A report from buildReport
+ * @returns {string} The Markdown report
+ */
+export function reportToMarkdown(report) {
+  const jobSymbols = [...new Set(
+    (report.jobs || []).flatMap(platform => platform.jobs.map(job => job.jobSymbol))
+  )];
+  const unavailable = source => {
+    const error = report.errors[source];
+    return error ? `Couldn't be fetched (${error.kind}): ${error.message}` : "Couldn't be fetched.";
+  };
+
+  let lines = [
+    `# New Tab train-hop readiness: ${VERDICT_EMOJI[report.verdict.verdict]} ${report.verdict.label}`,
+    "",
+    `- Git SHA: \`${report.revision.gitSha}\``,
+    `- Mercurial SHA: \`${report.revision.hgSha}\``,
+    `- Checked: ${report.generatedAt}`,
+    "",
+  ];
+
+  if (report.verdict.reasons.length) {
+    lines.push("## Findings", "");
+    for (let reason of report.verdict.reasons) {
+      lines.push(`- **${reason.level}** (${reason.source}): ${reason.message}`);
+    }
+    lines.push("");
+  }
+
+  lines.push("## Jobs", "");
+  if (report.jobs) {
+    lines.push(
+      `| Platform | ${jobSymbols.join(" | ")} |`,
+      `| --- | ${jobSymbols.map(() => "---").join(" | ")} |`
+    );
+    for (let platform of report.jobs) {
+      let cells = jobSymbols.map(jobSymbol => {
+        let job = platform.jobs.find(job => job.jobSymbol == jobSymbol);
+        return job ? `${JOB_STATE_EMOJI[job.state]} ${job.state}` : "-";
+      });
+      lines.push(`| ${platform.platform} | ${cells.join(" | ")} |`);
+    }
+  } else {
+    lines.push(unavailable("jobs"));
+  }
+  lines.push("");
+
+  lines.push(
+    "## newtab.ftl",
+    "",
+    report.ftl ? `${report.ftl.message} (\`${report.ftl.status}\`).` : unavailable("ftl"),
+    ""
+  );
+  if (report.ftl?.messages) {
+    const { added, changed, removed } = report.ftl.messages;
+    for (let [title, ids] of [["Added to", added], ["Changed in", changed], ["Removed from", removed]]) {
+      if (ids.length) {
+        lines.push(`${title} the main newtab.ftl: ${ids.map(id => `\`${id}\``).join(", ")}`, "");
+      }
+    }
+  }
+
+  lines.push(
+    "## Locales",
+    "",
+    `Beta started ${report.locales.betaStartDate}, Release started Beta ${report.locales.releaseStartDate}.`,
+    ""
+  );
+  if (!report.locales.locales) {
+    lines.push(unavailable("locales"));
+  } else if (report.locales.locales.length) {
+    lines.push("| Locale | Pending | Missing |", "| --- | --- | --- |");
+    for (let locale of report.locales.locales) {
+      const name = locale.shipped === false ? `${locale.locale} (doesn't ship)` : locale.locale;
+      lines.push(`| ${name} | ${locale.pending.length} | ${locale.missing.length} |`);
+    }
+  } else {
+    lines.push("All locales are fully translated.");
+  }
+  lines.push("");
+
+  lines.push("## Rollouts", "");
+  if (!report.rollouts) {
+    lines.push(unavailable("rollouts"));
+  } else if (report.rollouts.length) {
+    for (let rollout of report.rollouts) {
+      lines.push(`- \`${rollout.slug}\` (${rollout.channels.join(", ")}) at ${rollout.percentage}%`);
+    }
+  } else {
+    lines.push("No active rollouts.");
+  }
+  lines.push("");
+
+  lines.push("## Train-hop XPI", "");
+  if (report.xpi) {
+    lines.push(
+      `[XPI ${report.xpi.version}](${report.xpi.artifact}), for Firefox ${report.xpi.strictMinVersion || "any"} to ${report.xpi.strictMaxVersion || "any"}, with ${report.xpi.locales.length} locale(s).`
+    );
+  } else {
+    lines.push(unavailable("xpi"));
+  }
+  lines.push("");
+
+  return lines.join("\n");
+}
@@ -0,0 +1,57 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+import { LitElement, html, css } from "/vendor/lit3/lit-all.min.js";
+import {
+  computeVerdict,
+  LEVEL_BLOCKER,
+  LEVEL_REVIEW,
+  LEVEL_INFO,
+} from "./readiness-rules.mjs";
+
+class ReportSummary extends LitElement {
+  static properties = {
+    results: { type: Object },
+  };
+
+  constructor() {
+    super();
+    this.results = null;
+  }
+
+  #renderReasons(title, level, reasons) {
+    let matchingReasons = reasons.filter(reason => reason.level == level);
+    if (!matchingReasons.length) {
+      return null;
+    }
+
+    return html`
+      <h3>${title}</h3>
+      <ul class=${level}>
+        ${matchingReasons.map(reason => {
+          return html`<li><span class="source">${reason.source}</span> ${reason.message}</li>`;
+        })}
+      </ul>
+    `;
+  }
+
+  render() {
+    if (!this.results?.revisionData) {
+      return null;
+    }
+
+    const { verdict, label, reasons } = computeVerdict(this.results.revisionData);
+
+    return html`
+      <link rel="stylesheet" href="./styles/report-summary.css" />
+      <h1>Summary</h1>
+      <h2 class=${verdict}>${label}</h2>
+      ${this.#renderReasons("Blockers", LEVEL_BLOCKER, reasons)}
+      ${this.#renderReasons("Needs review", LEVEL_REVIEW, reasons)}
+      ${this.#renderReasons("Notes", LEVEL_INFO, reasons)}
+    `;
+  }
+}
+
+customElements.define("report-summary", ReportSummary);
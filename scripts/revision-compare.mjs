@@ -0,0 +1,141 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+import { LitElement, html, css } from "/vendor/lit3/lit-all.min.js";
+import {
+  compareRevisionData,
+  JOB_STATE_UNKNOWN,
+  JOB_STATE_PASSING,
+  JOB_STATE_FAILING,
+} from "./readiness-rules.mjs";
+
+const SYMBOL_MAP = {
+  [JOB_STATE_UNKNOWN]: "\u{1F7E1}",
+  [JOB_STATE_PASSING]: "\u{1F7E2}",
+  [JOB_STATE_FAILING]: "\u{1F534}",
+}
+
+class RevisionCompare extends LitElement {
+  static properties = {
+    baseline: { type: Object },
+    candidate: { type: Object },
+  };
+
+  constructor() {
+    super();
+    this.baseline = null;
+    this.candidate = null;
+  }
+
+  #renderJobState(state) {
+    if (!state) {
+      return html`<span title="not run">-</span>`;
+    }
+    return html`<span title="${state}">${SYMBOL_MAP[state]}</span>`;
+  }
+
+  #jobsDiff(changes) {
+    if (!changes) {
+      return html`<p class="unavailable">Jobs data is missing for one of the revisions.</p>`;
+    }
+
+    if (!changes.length) {
+      return html`<p>No platform changed job state.</p>`;
+    }
+
+    return html`
+      <table>
+        <thead>
+          <th>Platform</th>
+          <th>Job</th>
+          <th>Baseline</th>
+          <th>Candidate</th>
+        </thead>
+        <tbody>
+          ${changes.map(change => {
+            return html`
+              <tr>
+                <td>${change.platform}</td>
+                <td>${change.jobSymbol}</td>
+                <td>${this.#renderJobState(change.before)}</td>
+                <td>${this.#renderJobState(change.after)}</td>
+              </tr>
+            `;
+          })}
+        </tbody>
+      </table>
+    `;
+  }
+
+  #localesDiff(changes) {
+    if (!changes) {
+      return html`<p class="unavailable">The locales report is missing for one of the revisions.</p>`;
+    }
+
+    if (!changes.length) {
+      return html`<p>No Fluent keys became missing or were resolved.</p>`;
+    }
+
+    return html`
+      ${changes.map(change => {
+        return html`
+          <details name="locale">
+            <summary>${change.locale} - newly missing: ${change.newlyMissing.length}, resolved: ${change.resolved.length}</summary>
+            <p>Newly missing strings</p>
+            <ol>
+              ${change.newlyMissing.map(fluentKey => html`<li>${fluentKey}</li>`)}
+            </ol>
+            <p>Resolved strings</p>
+            <ol>
+              ${change.resolved.map(fluentKey => html`<li>${fluentKey}</li>`)}
+            </ol>
+          </details>
+        `;
+      })}
+    `;
+  }
+
+  #ftlDiff(ftl) {
+    if (!ftl) {
+      return html`<p class="unavailable">FTL data is missing for one of the revisions.</p>`;
+    }
+
+    if (!ftl.changed) {
+      return html`<p>FTL sync status is unchanged (${ftl.after.status}).</p>`;
+    }
+
+    return html`
+      <p class="changed">
+        FTL sync status changed from <strong>${ftl.before.status}</strong>
+        to <strong>${ftl.after.status}</strong>: ${ftl.after.message}.
+      </p>
+    `;
+  }
+
+  render() {
+    if (!this.baseline?.revisionData || !this.candidate?.revisionData) {
+      return null;
+    }
+
+    const diff = compareRevisionData(
+      this.baseline.revisionData,
+      this.candidate.revisionData
+    );
+
+    return html`
+      <link rel="stylesheet" href="./styles/revision-compare.css" />
+      <h1>Comparison</h1>
+      <p>Baseline: <code>${this.baseline.sha}</code></p>
+      <p>Candidate: <code>${this.candidate.sha}</code></p>
+      <h2>Jobs</h2>
+      ${this.#jobsDiff(diff.jobs)}
+      <h2>Locales</h2>
+      ${this.#localesDiff(diff.locales)}
+      <h2>FTL sync</h2>
+      ${this.#ftlDiff(diff.ftl)}
+    `;
+  }
+}
+
+customElements.define("revision-compare", RevisionCompare);
@@ -0,0 +1,193 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Links to checks, and the revisions linked to from other sites. This module
+ * is shared by the background script and the extension pages.
+ *
+ * A check is described in the station's URL as:
+ *  - hg=<sha> or git=<sha>: the revision, and which kind of SHA it is, or
+ *    revision=<revision>: anything parseRevisionInput() understands
+ *  - baseline=<sha>: a revision to compare against, of the same kind
+ *  - channel=<channel>: only show the jobs and rollouts of that channel
+ */
+
+export const SHA_TYPE_HG = "hg";
+export const SHA_TYPE_GIT = "git";
+// The kind of SHA is detected when it's resolved
+export const SHA_TYPE_AUTO = "auto";
+export const SHA_TYPES = [SHA_TYPE_AUTO, SHA_TYPE_HG, SHA_TYPE_GIT];
+
+// The URL parameter each kind of SHA goes in
+const SHA_TYPE_PARAMS = {
+  [SHA_TYPE_AUTO]: "revision",
+  [SHA_TYPE_HG]: "hg",
+  [SHA_TYPE_GIT]: "git",
+};
+const BASELINE_PARAM = "baseline";
+const CHANNEL_PARAM = "channel";
+// The channels of the trains aren't known until the revision is checked, so
+// anything that looks like a channel name is taken, e.g. "beta" or "esr".
+const CHANNEL_PATTERN = /^[a-z]+$/;
+
+// The pages that are about a single mozilla-central revision. Each has a
+// match pattern, for the menus and the page action, and finds the revision
+// in the URL of a page, if it's about one.
+const REVISION_PAGES = [
+  {
+    // Treeherder push views, e.g. /jobs?repo=mozilla-central&revision=<sha>.
+    // Older Treeherder URLs keep their query string in the hash.
+    matchPattern: "https://treeherder.mozilla.org/*",
+    shaType: SHA_TYPE_HG,
+    findSha(url) {
+      let params = url.hash.includes("?")
+        ? new URLSearchParams(url.hash.substring(url.hash.indexOf("?")))
+        : url.searchParams;
+      return params.get("repo") == "mozilla-central" ? params.get("revision") : null;
+    },
+  },
+  {
+    // Commits of the Git repository, e.g. /mozilla-firefox/firefox/commit/<sha>
+    matchPattern: "https://github.com/mozilla-firefox/firefox/commit/*",
+    shaType: SHA_TYPE_GIT,
+    findSha(url) {
+      return url.pathname.match(/^\/mozilla-firefox\/firefox\/commit\/([0-9a-f]{40})\/?$/i)?.[1];
+    },
+  },
+  {
+    // Mercurial revisions and pushlogs, e.g. /mozilla-central/rev/<sha> or
+    // /mozilla-central/pushloghtml?changeset=<sha>
+    matchPattern: "https://hg.mozilla.org/mozilla-central/*",
+    shaType: SHA_TYPE_HG,
+    findSha(url) {
+      return url.pathname.match(/^\/mozilla-central\/(?:rev|raw-rev|json-rev)\/([0-9a-f]{12,40})\/?$/i)?.[1] ||
+        (url.pathname.startsWith("/mozilla-central/pushlog") ? url.searchParams.get("changeset") : null);
+    },
+  },
+  {
+    // Phabricator's Diffusion view of mozilla-central commits, e.g.
+    // /rMOZILLACENTRAL<sha> or /source/mozilla-central/commit/<sha>/
+    matchPattern: "https://phabricator.services.mozilla.com/*",
+    shaType: SHA_TYPE_HG,
+    findSha(url) {
+      return url.pathname.match(/^\/rMOZILLACENTRAL([0-9a-f]{12,40})\/?$/i)?.[1] ||
+        url.pathname.match(/^\/source\/mozilla-central\/commit\/([0-9a-f]{12,40})\/?$/i)?.[1];
+    },
+  },
+];
+
+// The match patterns of the pages that can be about a revision
+export const REVISION_PAGE_PATTERNS = REVISION_PAGES.map(page => page.matchPattern);
+
+/**
+ * Builds the query string of the station URL for a check.
+ * @param {Object} check
+ * @param {string} check.sha - The revision, or an empty string for the latest
+ * @param {string} check.shaType - One of SHA_TYPES
+ * @param {string} [check.baselineSha] - The revision to compare against
+ * @param {string} [check.channel] - The channel to show, or all of them if unset
+ * @returns {URLSearchParams} The query string
+ */
+export function checkToSearchParams({ sha, shaType, baselineSha, channel }) {
+  let params = new URLSearchParams();
+  if (sha) {
+    params.set(SHA_TYPE_PARAMS[shaType], sha);
+  }
+  if (baselineSha) {
+    params.set(BASELINE_PARAM, baselineSha);
+  }
+  if (channel) {
+    params.set(CHANNEL_PARAM, channel);
+  }
+  return params;
+}
+
+/**
+ * Reads a check from the query string of a station URL.
+ * @param {URLSearchParams} params - The query string
+ * @returns {{sha: string, shaType: string, baselineSha: string, channel: string}|null}
+ *   The check, or null if the query string doesn't name a revision
+ */
+export function checkFromSearchParams(params) {
+  let shaType = SHA_TYPES.find(type => params.get(SHA_TYPE_PARAMS[type])?.trim());
+  if (!shaType) {
+    return null;
+  }
+
+  let channel = params.get(CHANNEL_PARAM) || "";
+  return {
+    sha: params.get(SHA_TYPE_PARAMS[shaType]).trim(),
+    shaType,
+    baselineSha: params.get(BASELINE_PARAM)?.trim() || "",
+    channel: CHANNEL_PATTERN.test(channel) ? channel : "",
+  };
+}
+
+/**
+ * Finds the revision a page is about, e.g. a mozilla-central push on
+ * Treeherder, a commit of mozilla-firefox/firefox on GitHub, or a revision on
+ * hg.mozilla.org or Phabricator. The kind of SHA depends on the site.
+ * @param {string} pageUrl - The URL of the page, or of a link to it
+ * @returns {{sha: string, shaType: string}|null} The revision, or null if the
+ *   URL isn't about one
+ */
+export function revisionFromPageUrl(pageUrl) {
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch (e) {
+    return null;
+  }
+
+  for (let page of REVISION_PAGES) {
+    let pagePrefix = page.matchPattern.replace(/\*$/, "");
+    if (!url.href.startsWith(pagePrefix)) {
+      continue;
+    }
+
+    let sha = page.findSha(url);
+    return sha ? { sha, shaType: page.shaType } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Works out what the user entered to identify a revision: a full or
+ * abbreviated SHA, a Treeherder push ID, or a link to a page about a revision
+ * (see revisionFromPageUrl).
+ * @param {string} input - What the user entered
+ * @param {string} [shaType] - One of SHA_TYPES. Unless it's SHA_TYPE_AUTO, a
+ *   SHA is taken to be of that kind, even if it looks like a push ID.
+ * @returns {{sha: string, shaType: string}|{pushId: number}} The revision.
+ *   The kind of a SHA is SHA_TYPE_AUTO if it can't be told from the input.
+ * @throws {Error} If the input isn't any of those
+ */
+export function parseRevisionInput(input, shaType = SHA_TYPE_AUTO) {
+  input = input.trim();
+
+  if (/^https?:\/\//i.test(input)) {
+    let revision = revisionFromPageUrl(input);
+    if (!revision) {
+      throw new Error(`${input} isn't a link to a mozilla-central revision`);
+    }
+    return revision;
+  }
+
+  let isSha = /^[0-9a-f]{7,40}$/i.test(input);
+  if (isSha && shaType != SHA_TYPE_AUTO) {
+    return { sha: input.toLowerCase(), shaType };
+  }
+
+  // Push IDs are much shorter than SHAs, which are hardly ever only digits.
+  if (/^\d{1,9}$/.test(input)) {
+    return { pushId: parseInt(input, 10) };
+  }
+
+  if (isSha) {
+    return { sha: input.toLowerCase(), shaType: SHA_TYPE_AUTO };
+  }
+
+  throw new Error(`${input} isn't a SHA, a push ID or a link to a revision`);
+}
@@ -3,32 +3,118 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
 import { LitElement, html, css } from "/vendor/lit3/lit-all.min.js";
+import {
+  parseTrainName,
+  rolloutsForChannel,
+  rolloutPercentage,
+  trainChannels,
+  trainLabel,
+  xpiVersionMatches,
+} from "./readiness-rules.mjs";
 
 class RolloutsReport extends LitElement {
   static properties = {
     rollouts: { type: Object },
+    // The rollouts that have ended, most recently ended first
+    endedRollouts: { type: Array },
+    // The version of the newtab add-on at the revision being checked
+    newtabAddonVersion: { type: String },
+    // The trains of the revision being checked, whose channels are shown
+    trains: { type: Array },
+    // Only show the rollouts of this channel, if set
+    channel: { type: String },
   };
 
   constructor() {
     super();
     this.rollouts = null;
+    this.endedRollouts = null;
+    this.newtabAddonVersion = null;
+    this.trains = null;
+    this.channel = "";
   }
 
   #rolloutsFor(channel) {
-    let matchingRollouts = this.rollouts.filter(rollout => {
-      return rollout.channels.includes(channel);
-    });
+    let matchingRollouts = rolloutsForChannel(this.rollouts, channel);
 
     if (!matchingRollouts.length) {
       return html`<strong>NONE</strong>`;
     }
 
+    return matchingRollouts.map(rollout => this.#renderRollout(rollout));
+  }
+
+  /**
+   * Renders the details of a rollout, flagging it if the XPI it hops to
+   * wasn't built from the revision being checked. Rollouts from checks made
+   * before these details were fetched only have a slug, name, percentage and
+   * channels.
+   * @param {Object} rollout - A rollout from getRolloutData
+   */
+  #renderRollout(rollout) {
+    const NIMBUS_URL = `https://experimenter.services.mozilla.com/nimbus/${rollout.slug}/summary/`;
+    const PERCENTAGE = rolloutPercentage(rollout);
+    const versionMatches = xpiVersionMatches(rollout, this.newtabAddonVersion);
+
+    return html`
+      <div class="rollout ${versionMatches === false ? "mismatch" : ""}">
+        <a href="${NIMBUS_URL}" target="_blank">${rollout.slug} - ${rollout.userFacingName}</a> at <strong>${PERCENTAGE}%</strong>
+        <dl>
+          <dt>Started</dt>
+          <dd>${rollout.startDate || "Unknown"}</dd>
+          ${rollout.endDate ? html`
+            <dt>Ended</dt>
+            <dd>${rollout.endDate}</dd>
+          ` : null}
+          <dt>Firefox versions</dt>
+          <dd>${this.#versionRange(rollout)}</dd>
+          <dt>XPI version</dt>
+          <dd>
+            ${rollout.addonVersion || "Unknown"}
+            ${versionMatches === false ? html`
+              <strong class="mismatch">
+                doesn't match the newtab version ${this.newtabAddonVersion} of this revision
+              </strong>
+            ` : null}
+          </dd>
+          <dt>XPI</dt>
+          <dd>${rollout.xpiUrl ? html`<a href="${rollout.xpiUrl}" target="_blank">${rollout.xpiUrl}</a>` : "Unknown"}</dd>
+          <dt>Targeting</dt>
+          <dd>${rollout.targeting ? html`<code>${rollout.targeting}</code>` : "Unknown"}</dd>
+        </dl>
+      </div>
+    `;
+  }
+
+  #versionRange(rollout) {
+    if (rollout.minVersion === undefined) {
+      return "Unknown";
+    }
+    if (!rollout.minVersion && !rollout.maxVersion) {
+      return "Any";
+    }
+    if (!rollout.maxVersion) {
+      return `${rollout.minVersion} and later`;
+    }
+    if (!rollout.minVersion) {
+      return `Before ${rollout.maxVersion}`;
+    }
+    return `${rollout.minVersion} to ${rollout.maxVersion}`;
+  }
+
+  #renderEndedRollouts() {
+    if (!this.endedRollouts?.length) {
+      return null;
+    }
+
+    let endedRollouts = this.channel
+      ? rolloutsForChannel(this.endedRollouts, this.channel)
+      : this.endedRollouts;
     return html`
-      ${matchingRollouts.map(rollout => {
-        const NIMBUS_URL = `https://experimenter.services.mozilla.com/nimbus/${rollout.slug}/summary/`;
-        const PERCENTAGE = rollout.bucketConfig.count / rollout.bucketConfig.total * 100;
-        return html`<a href="${NIMBUS_URL}" target="_blank">${rollout.slug} - ${rollout.userFacingName}</a> at <strong>${PERCENTAGE}%</strong></a>`
-      })}
+      <details class="ended">
+        <summary>Ended rollouts (${endedRollouts.length})</summary>
+        ${endedRollouts.map(rollout => this.#renderRollout(rollout))}
+      </details>
     `;
   }
 
@@ -38,10 +124,16 @@ class RolloutsReport extends LitElement {
     return html`
       <link rel="stylesheet" href="./styles/rollouts-report.css" />
       <h1>Active rollouts</h1>
-      <h2>Release</h2>
-      <div>${this.#rolloutsFor("release")}</div>
-      <h2>Beta</h2>
-      <div>${this.#rolloutsFor("beta")}</div>
+      ${this.newtabAddonVersion ? html`
+        <p>The newtab add-on is at version <strong>${this.newtabAddonVersion}</strong> in this revision.</p>
+      ` : null}
+      ${trainChannels(this.trains)
+        .filter(channel => !this.channel || channel == this.channel)
+        .map(channel => html`
+          <h2>${trainLabel(parseTrainName(channel))}</h2>
+          <div>${this.#rolloutsFor(channel)}</div>
+        `)}
+      ${this.#renderEndedRollouts()}
     `;
   }
 }
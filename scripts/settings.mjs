@@ -0,0 +1,47 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * The user's settings, as edited on the options page. This module is shared
+ * by the background script and the extension pages.
+ */
+
+import { DEFAULT_LOCALE_RULES } from "./readiness-rules.mjs";
+
+const SETTINGS_STORAGE_KEY = "settings";
+
+export const DEFAULT_SETTINGS = {
+  // A GitHub personal access token. Without one, the GitHub API only allows
+  // 60 requests per hour.
+  githubToken: "",
+  // The locale rules, see DEFAULT_LOCALE_RULES
+  betaFallbackWeeks: DEFAULT_LOCALE_RULES.betaFallbackWeeks,
+  unshippedLocales: DEFAULT_LOCALE_RULES.unshippedLocales,
+};
+
+/**
+ * Gets the user's settings, with defaults for anything they haven't set.
+ * @returns {Promise<Object>} The settings
+ */
+export async function getSettings() {
+  const result = await browser.storage.local.get(SETTINGS_STORAGE_KEY);
+  return {
+    ...DEFAULT_SETTINGS,
+    ...result[SETTINGS_STORAGE_KEY],
+  };
+}
+
+/**
+ * Updates some of the user's settings.
+ * @param {Object} changes - The settings to change
+ * @returns {Promise<Object>} The updated settings
+ */
+export async function saveSettings(changes) {
+  const settings = {
+    ...(await getSettings()),
+    ...changes,
+  };
+  await browser.storage.local.set({ [SETTINGS_STORAGE_KEY]: settings });
+  return settings;
+}
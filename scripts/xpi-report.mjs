@@ -0,0 +1,87 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+import { LitElement, html } from "/vendor/lit3/lit-all.min.js";
+import {
+  parseTrainName,
+  trainLabel,
+  xpiIncompatibility,
+} from "./readiness-rules.mjs";
+
+const TASKCLUSTER_TASK_URL = "https://firefox-ci-tc.services.mozilla.com/tasks";
+
+/**
+ * Shows the train-hop XPI built for a revision, what its manifest says, and
+ * whether it can be installed on the Firefox versions of its trains.
+ */
+class XpiReport extends LitElement {
+  static properties = {
+    xpiInfo: { type: Object },
+    // Only check the XPI against the trains of this channel, if set
+    channel: { type: String },
+  };
+
+  constructor() {
+    super();
+    this.xpiInfo = null;
+    this.channel = "";
+  }
+
+  /**
+   * Renders whether the XPI can be installed on a train.
+   * @param {string} name - The name of the train, e.g. "beta" or "esr140"
+   */
+  #renderTrain(name) {
+    const version = this.xpiInfo.channelVersions[name];
+    const label = trainLabel(parseTrainName(name));
+    if (!version) {
+      return html`<li class="unknown">${label}: the current Firefox version is unknown</li>`;
+    }
+
+    const incompatibility = xpiIncompatibility(this.xpiInfo, version);
+    return html`
+      <li class=${incompatibility ? "incompatible" : "compatible"}>
+        ${label} (Firefox ${version}):
+        ${incompatibility ? `can't be installed, as ${incompatibility}` : "can be installed"}
+      </li>
+    `;
+  }
+
+  render() {
+    if (!this.xpiInfo) {
+      return null;
+    }
+
+    const { taskId, name, url, version, strictMinVersion, strictMaxVersion, locales } = this.xpiInfo;
+    const trains = Object.keys(this.xpiInfo.channelVersions)
+      .filter(name => !this.channel || parseTrainName(name).channel == this.channel);
+    return html`
+      <link rel="stylesheet" href="./styles/xpi-report.css" />
+      <h1>Train-hop XPI</h1>
+      <dl>
+        <dt>Artifact</dt>
+        <dd>
+          <a href="${url}" target="_blank">${name}</a>
+          of task <a href="${TASKCLUSTER_TASK_URL}/${taskId}" target="_blank">${taskId}</a>
+        </dd>
+        <dt>Version</dt>
+        <dd>${version}</dd>
+        <dt>Firefox versions</dt>
+        <dd>${strictMinVersion || "Any"} to ${strictMaxVersion || "any"}</dd>
+        <dt>Locales</dt>
+        <dd>
+          <details>
+            <summary>${locales.length} bundled</summary>
+            ${locales.join(", ")}
+          </details>
+        </dd>
+      </dl>
+      <ul class="channels">
+        ${trains.map(name => this.#renderTrain(name))}
+      </ul>
+    `;
+  }
+}
+
+customElements.define("xpi-report", XpiReport);
@@ -0,0 +1,95 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Reads the files in a zip archive, such as an XPI. Only what XPIs use is
+ * supported: stored and deflated files, without ZIP64 or encryption.
+ */
+
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+// The end of central directory record may be followed by a comment of up to
+// this many bytes.
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Lists the entries of a zip archive, from its central directory.
+ * @param {ArrayBuffer} buffer - The zip archive
+ * @returns {Array<{name: string, method: number, compressedSize: number, size: number, localHeaderOffset: number}>}
+ *   The entries, in the order they're listed in the archive
+ * @throws {SyntaxError} If the archive can't be read
+ */
+export function listZipEntries(buffer) {
+  let view = new DataView(buffer);
+  let endOffset = -1;
+  let searchStart = Math.max(0, buffer.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE - MAX_COMMENT_SIZE);
+  for (let offset = buffer.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE; offset >= searchStart; offset--) {
+    if (view.getUint32(offset, true) == END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset == -1) {
+    throw new SyntaxError("Not a zip archive: no end of central directory record");
+  }
+
+  let entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  let decoder = new TextDecoder();
+  let entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) != CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new SyntaxError(`Corrupt zip archive: bad central directory entry at ${offset}`);
+    }
+
+    let nameLength = view.getUint16(offset + 28, true);
+    let extraLength = view.getUint16(offset + 30, true);
+    let commentLength = view.getUint16(offset + 32, true);
+    entries.push({
+      name: decoder.decode(new Uint8Array(buffer, offset + 46, nameLength)),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      localHeaderOffset: view.getUint32(offset + 42, true),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Reads the contents of an entry of a zip archive.
+ * @param {ArrayBuffer} buffer - The zip archive
+ * @param {Object} entry - An entry returned by listZipEntries
+ * @returns {Promise<Uint8Array>} The uncompressed contents
+ * @throws {SyntaxError} If the entry can't be read
+ */
+export async function readZipEntry(buffer, entry) {
+  let view = new DataView(buffer);
+  let offset = entry.localHeaderOffset;
+  if (view.getUint32(offset, true) != LOCAL_FILE_HEADER_SIGNATURE) {
+    throw new SyntaxError(`Corrupt zip archive: bad local header for ${entry.name}`);
+  }
+
+  // The local header has its own name and extra field lengths, which can
+  // differ from the central directory's.
+  let dataOffset = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+  let data = new Uint8Array(buffer, dataOffset, entry.compressedSize);
+
+  if (entry.method == METHOD_STORED) {
+    return data.slice();
+  }
+  if (entry.method != METHOD_DEFLATED) {
+    throw new SyntaxError(`Unsupported compression method ${entry.method} for ${entry.name}`);
+  }
+
+  let stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
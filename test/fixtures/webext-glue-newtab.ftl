@@ -0,0 +1,13 @@
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+
+-newtab-brand-name = New Tab
+
+newtab-page-title = { -newtab-brand-name }
+newtab-search-box-input =
+    .placeholder = Search the web
+# Variables:
+#   $title (string) - The title of the shortcut
+newtab-topsites-add-shortcut-title = Add “{ $title }” as a shortcut
+newtab-topsites-pin-title = Pin
@@ -0,0 +1,439 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Tests for the readiness rules, against payloads recorded from Treeherder,
+ * GitHub, Experimenter and the locales report, see test/fixtures/. Run them
+ * with npm test.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  JOB_OUTCOME_PASSED,
+  JOB_OUTCOME_PENDING,
+  JOB_STATE_FAILING,
+  JOB_STATE_PASSING,
+  JOB_STATE_UNKNOWN,
+  FTL_STATUS_IN_SYNC,
+  FTL_STATUS_MAIN_NEWER,
+  LEVEL_BLOCKER,
+  LEVEL_INFO,
+  LEVEL_REVIEW,
+  PONTOON_AWAITING_EXPORT,
+  PONTOON_NEEDS_REVIEW,
+  PONTOON_UNTRANSLATED,
+  UNSHIPPED_LOCALES_EXCLUDE,
+  VERDICT_BLOCKED,
+  VERDICT_READY,
+  VERDICT_REVIEW,
+  DEFAULT_LOCALE_RULES,
+  classifyLocaleStrings,
+  compareNewtabFtlFileInfos,
+  computeVerdict,
+  diffFluentMessages,
+  ftlFindings,
+  groupJobs,
+  parsePontoonEntities,
+  pontoonStringStatuses,
+  rolloutsFindings,
+  summarizeJobs,
+  targetingVersions,
+  transformJobsData,
+  untranslatedStrings,
+  xpiFindings,
+} from "../scripts/readiness-rules.mjs";
+
+/**
+ * Reads a fixture file.
+ * @param {string} name - The name of the file in test/fixtures/
+ * @returns {string} The contents of the file
+ */
+function readFixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+}
+
+/**
+ * Reads a JSON fixture file.
+ * @param {string} name - The name of the file in test/fixtures/
+ * @returns {*} The parsed contents of the file
+ */
+function readJsonFixture(name) {
+  return JSON.parse(readFixture(name));
+}
+
+/**
+ * Turns a recorded GitHub commits payload into file info, the way
+ * getGitHubFileInfo() in background.js does.
+ * @param {string} name - The name of the commits fixture
+ * @returns {{lastModifiedDate: string}} The file info
+ */
+function fileInfoFixture(name) {
+  const [commitInfo] = readJsonFixture(name);
+  return { lastModifiedDate: commitInfo.commit.author.date };
+}
+
+const trainhopJobs = transformJobsData(readJsonFixture("treeherder-jobs.json"));
+const localesReport = readJsonFixture("locales-report.json");
+const rollouts = readJsonFixture("experimenter-rollouts.json");
+const pontoonResponse = readJsonFixture("pontoon-entities.json");
+
+// The merge dates the locale rules are evaluated against
+const RELEASE_START_DATE = "2026-08-17";
+const BETA_START_DATE = "2026-09-14";
+// A week into Beta, before the fallback threshold has passed
+const EARLY_IN_BETA = Temporal.PlainDate.from("2026-09-21");
+// Four weeks into Beta, after the fallback threshold has passed
+const LATE_IN_BETA = Temporal.PlainDate.from("2026-10-12");
+
+describe("transformJobsData", () => {
+  it("names the fields of each job", () => {
+    assert.equal(trainhopJobs.length, 10);
+    assert.equal(trainhopJobs[0].job_type_symbol, "Mbc-beta");
+    assert.equal(trainhopJobs[0].platform, "linux1804-64-qr");
+    assert.equal(trainhopJobs[0].task_id, "aX3mQ0bFRdmJc1Hn2y7kDw");
+  });
+
+  it("returns no jobs for a payload without results", () => {
+    assert.deepEqual(transformJobsData({}), []);
+  });
+});
+
+describe("groupJobs", () => {
+  it("groups the retries of a task together, the last attempt counting", () => {
+    const grouped = groupJobs(trainhopJobs);
+    const [task] = grouped["linux1804-64-qr (opt)"]["Mbc-beta"];
+    assert.equal(grouped["linux1804-64-qr (opt)"]["Mbc-beta"].length, 1);
+    assert.equal(task.taskId, "aX3mQ0bFRdmJc1Hn2y7kDw");
+    assert.deepEqual(task.attempts.map(attempt => attempt.retry_id), [0, 1]);
+    assert.equal(task.latest.result, "success");
+    assert.equal(task.outcome, JOB_OUTCOME_PASSED);
+  });
+
+  it("keeps separate tasks of the same job apart", () => {
+    const grouped = groupJobs(trainhopJobs);
+    assert.equal(grouped["windows11-64-24h2 (opt)"]["Mbc-beta"].length, 2);
+  });
+
+  it("takes a pending retry over the failure it retries", () => {
+    const grouped = groupJobs(trainhopJobs);
+    const [task] = grouped["macosx1500-aarch64 (opt)"]["Mbc-beta"];
+    assert.equal(task.attempts.length, 2);
+    assert.equal(task.outcome, JOB_OUTCOME_PENDING);
+  });
+});
+
+describe("summarizeJobs", () => {
+  const summary = summarizeJobs(trainhopJobs);
+
+  it("passes a job that passed on a retry", () => {
+    assert.equal(summary["linux1804-64-qr (opt)"]["Mbc-beta"], JOB_STATE_PASSING);
+  });
+
+  it("fails a job with two genuine failures and nothing outstanding", () => {
+    assert.equal(summary["windows11-64-24h2 (opt)"]["Mbc-beta"], JOB_STATE_FAILING);
+  });
+
+  it("leaves running and retried intermittent jobs unknown", () => {
+    assert.equal(summary["windows11-64-24h2 (opt)"]["Mbc-release"], JOB_STATE_UNKNOWN);
+    assert.equal(summary["macosx1500-aarch64 (opt)"]["Mbc-beta"], JOB_STATE_UNKNOWN);
+  });
+
+  it("gives every platform a state for each train the push has jobs for", () => {
+    assert.deepEqual(Object.keys(summary["windows11-64-24h2 (opt)"]), [
+      "Mbc-beta",
+      "Mbc-release",
+      "Mbc-esr140",
+    ]);
+    assert.equal(summary["windows11-64-24h2 (opt)"]["Mbc-esr140"], JOB_STATE_UNKNOWN);
+  });
+});
+
+describe("compareNewtabFtlFileInfos", () => {
+  it("finds the main newtab.ftl newer than the webext-glue copy", () => {
+    const comparison = compareNewtabFtlFileInfos(
+      fileInfoFixture("github-commits-newtab-ftl.json"),
+      fileInfoFixture("github-commits-webext-glue-ftl.json")
+    );
+    assert.equal(comparison.status, FTL_STATUS_MAIN_NEWER);
+    assert.equal(comparison.daysDiff, 10);
+  });
+
+  it("finds files modified at the same time in sync", () => {
+    const fileInfo = fileInfoFixture("github-commits-newtab-ftl.json");
+    assert.equal(compareNewtabFtlFileInfos(fileInfo, fileInfo).status, FTL_STATUS_IN_SYNC);
+  });
+});
+
+describe("diffFluentMessages", () => {
+  it("finds the added, removed and changed messages", () => {
+    const diff = diffFluentMessages(readFixture("newtab.ftl"), readFixture("webext-glue-newtab.ftl"));
+    assert.deepEqual(diff, {
+      added: ["newtab-trending-searches-title"],
+      removed: ["newtab-topsites-pin-title"],
+      changed: ["newtab-search-box-input"],
+    });
+  });
+
+  it("finds nothing when the files have the same messages", () => {
+    const ftl = readFixture("newtab.ftl");
+    assert.deepEqual(diffFluentMessages(ftl, ftl), { added: [], removed: [], changed: [] });
+  });
+});
+
+describe("ftlFindings", () => {
+  const comparison = compareNewtabFtlFileInfos(
+    fileInfoFixture("github-commits-newtab-ftl.json"),
+    fileInfoFixture("github-commits-webext-glue-ftl.json")
+  );
+
+  it("blocks on messages the webext-glue copy lacks", () => {
+    const [finding] = ftlFindings({
+      ...comparison,
+      messageDiff: diffFluentMessages(readFixture("newtab.ftl"), readFixture("webext-glue-newtab.ftl")),
+    });
+    assert.equal(finding.level, LEVEL_BLOCKER);
+  });
+
+  it("only informs when the newer main file has the same messages", () => {
+    const [finding] = ftlFindings({
+      ...comparison,
+      messageDiff: { added: [], removed: [], changed: [] },
+    });
+    assert.equal(finding.level, LEVEL_INFO);
+  });
+});
+
+describe("classifyLocaleStrings", () => {
+  it("finds strings introduced before Release merged to Beta missing", () => {
+    const classified = classifyLocaleStrings(
+      localesReport, BETA_START_DATE, RELEASE_START_DATE, {}, EARLY_IN_BETA
+    );
+    assert.deepEqual(classified.get("it"), {
+      missingStrings: ["newtab-wallpaper-title"],
+      pendingStrings: ["newtab-weather-menu-change-location", "newtab-trending-searches-title"],
+      shipped: null,
+    });
+  });
+
+  it("omits locales without untranslated strings", () => {
+    const classified = classifyLocaleStrings(
+      localesReport, BETA_START_DATE, RELEASE_START_DATE, {}, EARLY_IN_BETA
+    );
+    assert.equal(classified.has("de"), false);
+  });
+
+  it("finds pending strings missing once Beta has run past the threshold", () => {
+    const classified = classifyLocaleStrings(
+      localesReport, BETA_START_DATE, RELEASE_START_DATE, {}, LATE_IN_BETA
+    );
+    assert.deepEqual(classified.get("it").pendingStrings, []);
+    assert.equal(classified.get("it").missingStrings.length, 3);
+  });
+
+  it("keeps strings introduced after Beta started pending", () => {
+    const classified = classifyLocaleStrings(
+      localesReport, BETA_START_DATE, RELEASE_START_DATE, {}, LATE_IN_BETA
+    );
+    assert.deepEqual(classified.get("ja"), {
+      missingStrings: ["newtab-weather-menu-change-location"],
+      pendingStrings: ["newtab-sponsored-label"],
+      shipped: null,
+    });
+  });
+
+  it("uses the configured fallback threshold", () => {
+    const classified = classifyLocaleStrings(
+      localesReport,
+      BETA_START_DATE,
+      RELEASE_START_DATE,
+      { rules: { ...DEFAULT_LOCALE_RULES, betaFallbackWeeks: 6 } },
+      LATE_IN_BETA
+    );
+    assert.equal(classified.get("it").pendingStrings.length, 2);
+  });
+
+  it("flags or leaves out the locales that don't ship", () => {
+    const shippedLocales = ["de", "fr", "it", "ja"];
+    const flagged = classifyLocaleStrings(
+      localesReport, BETA_START_DATE, RELEASE_START_DATE, { shippedLocales }, EARLY_IN_BETA
+    );
+    assert.equal(flagged.get("ach").shipped, false);
+    assert.equal(flagged.get("fr").shipped, true);
+
+    const excluded = classifyLocaleStrings(
+      localesReport,
+      BETA_START_DATE,
+      RELEASE_START_DATE,
+      {
+        rules: { ...DEFAULT_LOCALE_RULES, unshippedLocales: UNSHIPPED_LOCALES_EXCLUDE },
+        shippedLocales,
+      },
+      EARLY_IN_BETA
+    );
+    assert.equal(excluded.has("ach"), false);
+  });
+});
+
+describe("Pontoon", () => {
+  it("reads the strings of a page of the translate view", () => {
+    assert.deepEqual(parsePontoonEntities(pontoonResponse), {
+      keys: ["newtab-weather-menu-change-location", "newtab-trending-searches-title"],
+      hasNext: false,
+    });
+  });
+
+  it("rejects a response without strings", () => {
+    assert.throws(() => parsePontoonEntities({ status: false }), SyntaxError);
+  });
+
+  it("lists the untranslated strings of each locale", () => {
+    const untranslated = untranslatedStrings(localesReport);
+    assert.equal(Object.hasOwn(untranslated, "de"), false);
+    assert.deepEqual(untranslated.it, localesReport.locales.it.missing["browser/newtab/newtab.ftl"]);
+  });
+
+  it("labels each untranslated string by where it stands in Pontoon", () => {
+    const untranslated = untranslatedStrings(localesReport);
+    const { keys: translatedKeys } = parsePontoonEntities(pontoonResponse);
+    assert.deepEqual(
+      pontoonStringStatuses(untranslated.it, translatedKeys, ["newtab-wallpaper-title"]),
+      {
+        "newtab-wallpaper-title": PONTOON_NEEDS_REVIEW,
+        "newtab-weather-menu-change-location": PONTOON_AWAITING_EXPORT,
+        "newtab-trending-searches-title": PONTOON_AWAITING_EXPORT,
+      }
+    );
+    assert.deepEqual(pontoonStringStatuses(untranslated.ja, [], []), {
+      "newtab-weather-menu-change-location": PONTOON_UNTRANSLATED,
+      "newtab-sponsored-label": PONTOON_UNTRANSLATED,
+    });
+  });
+});
+
+describe("rollouts", () => {
+  it("reads the versions a rollout targets", () => {
+    assert.deepEqual(targetingVersions(rollouts[0].targeting), {
+      minVersion: "144",
+      maxVersion: "146",
+    });
+    assert.deepEqual(targetingVersions(rollouts[2].targeting), {
+      minVersion: "146",
+      maxVersion: null,
+    });
+  });
+
+  it("needs a review of competing rollouts on a channel", () => {
+    const findings = rolloutsFindings(rollouts, ["release", "beta"]);
+    assert.equal(findings[0].level, LEVEL_REVIEW);
+    assert.match(findings[0].message, /2 active rollouts target release/);
+    assert.equal(findings[1].level, LEVEL_INFO);
+  });
+});
+
+describe("xpiFindings", () => {
+  // A train-hop XPI for Firefox 145 to 146, checked against the versions of
+  // the trains
+  const xpiInfo = {
+    version: "146.1.20261012.1",
+    strictMinVersion: "145.0",
+    strictMaxVersion: "146.*",
+    channelVersions: { release: "145.0.2", beta: "146.0" },
+  };
+
+  it("informs of the trains the XPI can be installed on", () => {
+    assert.deepEqual(xpiFindings(xpiInfo), [{
+      level: LEVEL_INFO,
+      source: "xpi",
+      message: "XPI 146.1.20261012.1 can be installed on release (Firefox 145.0.2) and beta (Firefox 146.0).",
+    }]);
+  });
+
+  it("blocks on a train the XPI can't be installed on", () => {
+    const [finding] = xpiFindings({
+      ...xpiInfo,
+      channelVersions: { release: "144.0.1", beta: "146.0" },
+    });
+    assert.equal(finding.level, LEVEL_BLOCKER);
+    assert.equal(
+      finding.message,
+      "XPI 146.1.20261012.1 can't be installed on release (Firefox 144.0.1), as it needs Firefox 145.0 or later."
+    );
+  });
+
+  it("needs a review of a train whose version is unknown", () => {
+    const [finding] = xpiFindings({
+      ...xpiInfo,
+      channelVersions: { release: null, beta: "146.0" },
+    });
+    assert.equal(finding.level, LEVEL_REVIEW);
+  });
+});
+
+describe("computeVerdict", () => {
+  // A revision with every job passing, the newtab.ftl files in sync, only
+  // pending strings and a single rollout per channel
+  const readyData = {
+    pushData: {
+      summary: summarizeJobs(trainhopJobs.filter(job => job.platform == "linux1804-64-qr")),
+    },
+    ftlComparison: {
+      status: FTL_STATUS_IN_SYNC,
+      message: "Files are in sync",
+      messageDiff: { added: [], removed: [], changed: [] },
+    },
+    localesReport: {
+      ...localesReport,
+      locales: { fr: localesReport.locales.fr },
+    },
+    betaStartDate: BETA_START_DATE,
+    releaseStartDate: RELEASE_START_DATE,
+    rolloutData: [rollouts[0], rollouts[2]],
+    errors: {},
+  };
+
+  it("is ready when nothing needs looking at", () => {
+    assert.equal(computeVerdict(readyData, EARLY_IN_BETA).verdict, VERDICT_READY);
+  });
+
+  it("needs a review once pending strings become missing", () => {
+    const { verdict, reasons } = computeVerdict(readyData, LATE_IN_BETA);
+    assert.equal(verdict, VERDICT_REVIEW);
+    assert.ok(reasons.some(reason => reason.source == "locales" && reason.level == LEVEL_REVIEW));
+  });
+
+  it("needs a review of a data source that couldn't be fetched", () => {
+    const { verdict } = computeVerdict({
+      ...readyData,
+      errors: { rollouts: { kind: "http", message: "Failed to fetch rollouts: 502" } },
+    }, EARLY_IN_BETA);
+    assert.equal(verdict, VERDICT_REVIEW);
+  });
+
+  it("is blocked by failing jobs", () => {
+    const { verdict, reasons } = computeVerdict({
+      ...readyData,
+      pushData: { summary: summarizeJobs(trainhopJobs) },
+    }, EARLY_IN_BETA);
+    assert.equal(verdict, VERDICT_BLOCKED);
+    assert.ok(reasons.some(reason => {
+      return reason.level == LEVEL_BLOCKER &&
+        reason.message == "Mbc-beta jobs are failing on windows11-64-24h2 (opt).";
+    }));
+  });
+
+  it("is blocked by an XPI that can't be installed on a train", () => {
+    const { verdict } = computeVerdict({
+      ...readyData,
+      xpiInfo: {
+        version: "146.1.20261012.1",
+        strictMinVersion: "146.0",
+        strictMaxVersion: null,
+        channelVersions: { release: "145.0.2", beta: "146.0" },
+      },
+    }, EARLY_IN_BETA);
+    assert.equal(verdict, VERDICT_BLOCKED);
+  });
+});
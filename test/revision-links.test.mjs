@@ -0,0 +1,172 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Tests for reading revisions from what the user entered, from the pages
+ * they're on and from the station URL. Run them with npm test.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SHA_TYPE_AUTO,
+  SHA_TYPE_GIT,
+  SHA_TYPE_HG,
+  checkFromSearchParams,
+  checkToSearchParams,
+  parseRevisionInput,
+  revisionFromPageUrl,
+} from "../scripts/revision-links.mjs";
+
+const HG_SHA = "4b2a7c9f0e1d3a5b6c7d8e9f0a1b2c3d4e5f6a7b";
+const GIT_SHA = "9f8e7d6c5b4a39281706f5e4d3c2b1a098765432";
+
+describe("parseRevisionInput", () => {
+  it("takes a full SHA to be of the kind asked for", () => {
+    assert.deepEqual(parseRevisionInput(HG_SHA, SHA_TYPE_HG), { sha: HG_SHA, shaType: SHA_TYPE_HG });
+    assert.deepEqual(parseRevisionInput(GIT_SHA, SHA_TYPE_GIT), { sha: GIT_SHA, shaType: SHA_TYPE_GIT });
+  });
+
+  it("leaves the kind of a SHA to be detected when it isn't asked for", () => {
+    assert.deepEqual(parseRevisionInput(` ${HG_SHA.toUpperCase()}\n`), { sha: HG_SHA, shaType: SHA_TYPE_AUTO });
+  });
+
+  it("accepts short SHAs down to seven characters", () => {
+    assert.deepEqual(parseRevisionInput("4b2a7c9f0e1d"), { sha: "4b2a7c9f0e1d", shaType: SHA_TYPE_AUTO });
+    assert.deepEqual(parseRevisionInput("9f8e7d6", SHA_TYPE_GIT), { sha: "9f8e7d6", shaType: SHA_TYPE_GIT });
+    assert.throws(() => parseRevisionInput("9f8e7d"), /isn't a SHA, a push ID or a link/);
+  });
+
+  it("takes digits to be a push ID unless a kind of SHA is asked for", () => {
+    assert.deepEqual(parseRevisionInput("1234567"), { pushId: 1234567 });
+    assert.deepEqual(parseRevisionInput("1234567", SHA_TYPE_HG), { sha: "1234567", shaType: SHA_TYPE_HG });
+  });
+
+  it("finds the revision in a link to a page about one", () => {
+    assert.deepEqual(
+      parseRevisionInput(`https://treeherder.mozilla.org/jobs?repo=mozilla-central&revision=${HG_SHA}`),
+      { sha: HG_SHA, shaType: SHA_TYPE_HG }
+    );
+    assert.deepEqual(
+      parseRevisionInput(`https://github.com/mozilla-firefox/firefox/commit/${GIT_SHA}`, SHA_TYPE_HG),
+      { sha: GIT_SHA, shaType: SHA_TYPE_GIT }
+    );
+  });
+
+  it("rejects links that aren't about a mozilla-central revision", () => {
+    assert.throws(
+      () => parseRevisionInput(`https://treeherder.mozilla.org/jobs?repo=autoland&revision=${HG_SHA}`),
+      /isn't a link to a mozilla-central revision/
+    );
+  });
+
+  it("rejects anything else", () => {
+    assert.throws(() => parseRevisionInput("main"), /isn't a SHA, a push ID or a link/);
+  });
+});
+
+describe("revisionFromPageUrl", () => {
+  it("finds the Mercurial SHA of a Treeherder push", () => {
+    assert.deepEqual(
+      revisionFromPageUrl(`https://treeherder.mozilla.org/jobs?repo=mozilla-central&revision=${HG_SHA}&searchStr=nt-trainhop`),
+      { sha: HG_SHA, shaType: SHA_TYPE_HG }
+    );
+  });
+
+  it("reads older Treeherder URLs, which keep their query string in the hash", () => {
+    assert.deepEqual(
+      revisionFromPageUrl(`https://treeherder.mozilla.org/#/jobs?repo=mozilla-central&revision=${HG_SHA}`),
+      { sha: HG_SHA, shaType: SHA_TYPE_HG }
+    );
+  });
+
+  it("ignores Treeherder pushes of other repositories", () => {
+    assert.equal(revisionFromPageUrl(`https://treeherder.mozilla.org/jobs?repo=autoland&revision=${HG_SHA}`), null);
+  });
+
+  it("finds the Git SHA of a GitHub commit", () => {
+    assert.deepEqual(
+      revisionFromPageUrl(`https://github.com/mozilla-firefox/firefox/commit/${GIT_SHA}/`),
+      { sha: GIT_SHA, shaType: SHA_TYPE_GIT }
+    );
+  });
+
+  it("finds the Mercurial SHA of hg.mozilla.org revisions and pushlogs", () => {
+    assert.deepEqual(
+      revisionFromPageUrl("https://hg.mozilla.org/mozilla-central/rev/4b2a7c9f0e1d"),
+      { sha: "4b2a7c9f0e1d", shaType: SHA_TYPE_HG }
+    );
+    assert.deepEqual(
+      revisionFromPageUrl(`https://hg.mozilla.org/mozilla-central/pushloghtml?changeset=${HG_SHA}`),
+      { sha: HG_SHA, shaType: SHA_TYPE_HG }
+    );
+  });
+
+  it("finds the Mercurial SHA of Phabricator's mozilla-central commits", () => {
+    assert.deepEqual(
+      revisionFromPageUrl("https://phabricator.services.mozilla.com/rMOZILLACENTRAL4b2a7c9f0e1d"),
+      { sha: "4b2a7c9f0e1d", shaType: SHA_TYPE_HG }
+    );
+    assert.deepEqual(
+      revisionFromPageUrl(`https://phabricator.services.mozilla.com/source/mozilla-central/commit/${HG_SHA}/`),
+      { sha: HG_SHA, shaType: SHA_TYPE_HG }
+    );
+  });
+
+  it("ignores Phabricator pages that aren't about a commit", () => {
+    assert.equal(revisionFromPageUrl("https://phabricator.services.mozilla.com/D123456"), null);
+  });
+
+  it("ignores other sites and invalid URLs", () => {
+    assert.equal(revisionFromPageUrl(`https://example.com/rev/${HG_SHA}`), null);
+    assert.equal(revisionFromPageUrl("not a url"), null);
+  });
+});
+
+describe("checkFromSearchParams", () => {
+  it("reads the revision and which kind of SHA it is", () => {
+    assert.deepEqual(checkFromSearchParams(new URLSearchParams(`hg=${HG_SHA}`)), {
+      sha: HG_SHA,
+      shaType: SHA_TYPE_HG,
+      baselineSha: "",
+      channel: "",
+    });
+    assert.deepEqual(checkFromSearchParams(new URLSearchParams(`git=${GIT_SHA}`)), {
+      sha: GIT_SHA,
+      shaType: SHA_TYPE_GIT,
+      baselineSha: "",
+      channel: "",
+    });
+  });
+
+  it("leaves the kind of a revision parameter to be detected", () => {
+    assert.deepEqual(checkFromSearchParams(new URLSearchParams("revision=1234567")), {
+      sha: "1234567",
+      shaType: SHA_TYPE_AUTO,
+      baselineSha: "",
+      channel: "",
+    });
+  });
+
+  it("reads the baseline and the channel", () => {
+    assert.deepEqual(
+      checkFromSearchParams(new URLSearchParams(`git=${GIT_SHA}&baseline=%209f8e7d6%20&channel=beta`)),
+      { sha: GIT_SHA, shaType: SHA_TYPE_GIT, baselineSha: "9f8e7d6", channel: "beta" }
+    );
+  });
+
+  it("ignores a channel that doesn't look like one", () => {
+    assert.equal(checkFromSearchParams(new URLSearchParams(`hg=${HG_SHA}&channel=<beta>`)).channel, "");
+  });
+
+  it("returns null when no revision is named", () => {
+    assert.equal(checkFromSearchParams(new URLSearchParams("hg=%20&channel=beta")), null);
+    assert.equal(checkFromSearchParams(new URLSearchParams("")), null);
+  });
+
+  it("reads back what checkToSearchParams wrote", () => {
+    let check = { sha: HG_SHA, shaType: SHA_TYPE_HG, baselineSha: "4b2a7c9", channel: "release" };
+    assert.deepEqual(checkFromSearchParams(checkToSearchParams(check)), check);
+  });
+});